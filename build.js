@@ -18,7 +18,12 @@ function walk(dir) {
   });
 }
 
-const files = walk(srcDir).filter(f => f.endsWith('.js'));
+// The entry point goes last: it may initialise forms immediately, and module-level
+// constants in other files (e.g. utils) must already be defined by then
+const entry = path.join(srcDir, 'index.js');
+const files = walk(srcDir)
+  .filter(f => f.endsWith('.js'))
+  .sort((a, b) => (a === entry) - (b === entry));
 let bundle = '';
 
 files.forEach(file => {
@@ -0,0 +1,329 @@
+/** Attributes that make an element jump straight to an answer */
+const SKIP_ATTRIBUTES = ['data-skip', 'data-skip-to'];
+
+class FlowGraph {
+  /**
+   * Branch graph compiled from the data-go-to / data-answer / data-skip / data-branch markup.
+   *
+   * A node is one way a step can be displayed: its index plus the data-answer of the wrapper
+   * shown ('' for steps without answers). Edges are the ways to leave it: the radios of a
+   * branching step, its sequential data-go-to, skip controls, or the next step in DOM order.
+   *
+   * @param {import('./StepManager.js').default} stepManager
+   */
+  constructor(stepManager) {
+    this.stepManager = stepManager;
+    /** @type {Map<string, {id:string, index:number, answer:string, element:HTMLElement, branch:boolean, edges:Array}>} */
+    this.nodes = new Map();
+    /** @type {Map<string, Array<string>>} answer -> node ids */
+    this.answers = new Map();
+  }
+
+  /**
+   * (Re)compile the graph from the steps currently discovered by the StepManager.
+   * @returns {FlowGraph}
+   */
+  build() {
+    this.nodes = new Map();
+    this.answers = new Map();
+
+    this.stepManager.steps.forEach(step => {
+      this._getEntries(step).forEach(({ answer, element }) => {
+        const id = FlowGraph.nodeId(step.index, answer);
+        if (this.nodes.has(id)) return;
+        this.nodes.set(id, { id, index: step.index, answer, element, branch: this._isBranching(step.element), edges: [] });
+        if (answer) {
+          if (!this.answers.has(answer)) this.answers.set(answer, []);
+          this.answers.get(answer).push(id);
+        }
+      });
+    });
+
+    this.nodes.forEach(node => {
+      node.edges = this._collectEdges(node, this.stepManager.steps[node.index].element);
+    });
+    return this;
+  }
+
+  /**
+   * @param {number} index
+   * @param {string|null} answer
+   */
+  static nodeId(index, answer) {
+    return `${index}:${answer || ''}`;
+  }
+
+  /**
+   * Node for a step as displayed with the given answer; falls back to the step's default
+   * (first) wrapper the same way StepManager.showWrapper does.
+   * @param {number} index
+   * @param {string} [answer]
+   */
+  getNode(index, answer = '') {
+    return this.nodes.get(FlowGraph.nodeId(index, answer)) || this._getDefaultNode(index);
+  }
+
+  /**
+   * Resolve where navigation goes from a step. Pure: only reads the compiled graph.
+   * @param {{stepIndex:number, answer?:string, values?:Object<string, string>}} state
+   *   values maps radio names to their checked value
+   * @returns {{index:number, answer:string, type:string, target:string|null, name?:string, value?:string}|{index:-1, error:'choice-required'|'missing-target'|'end', target?:string}}
+   *   name/value: the radio a branch edge was taken for
+   */
+  getNextStep(state) {
+    const node = this.getNode(state.stepIndex, state.answer);
+    if (!node) return { index: -1, error: 'end' };
+
+    const values = state.values || {};
+    let edge;
+    if (node.branch) {
+      edge = node.edges.find(e => e.type === 'branch' && values[e.name] === e.value);
+      if (!edge) return { index: -1, error: 'choice-required' };
+    } else {
+      edge = node.edges.find(e => e.type === 'go-to' || e.type === 'next');
+    }
+    if (!edge) return { index: -1, error: 'end' };
+
+    const target = this._resolveEdge(edge);
+    if (!target) return { index: -1, error: 'missing-target', target: edge.target };
+    const next = { index: target.index, answer: target.answer, type: edge.type, target: edge.target };
+    if (edge.type === 'branch') Object.assign(next, { name: edge.name, value: edge.value });
+    return next;
+  }
+
+  /**
+   * Resolve a skip control of a step: its compiled skip edge to `target`, or for a control
+   * the graph did not see (e.g. added later) the step holding that data-answer.
+   * @param {{stepIndex:number, answer?:string}} state
+   * @param {string} target data-skip / data-skip-to value
+   * @returns {{index:number, answer:string, type:'skip', target:string}|{index:-1, error:'missing-target', target:string}}
+   */
+  getSkipStep(state, target) {
+    const node = this.getNode(state.stepIndex, state.answer);
+    const edge = (node && node.edges.find(e => e.type === 'skip' && e.target === target)) || { type: 'skip', target };
+    const next = this._resolveEdge(edge);
+    if (!next) return { index: -1, error: 'missing-target', target };
+    return { index: next.index, answer: next.answer, type: 'skip', target };
+  }
+
+  /**
+   * The steps still ahead of a step on the most likely route: branches follow the choice
+   * already made in `values`, otherwise their first option. Skips are not taken.
+   * @param {{stepIndex:number, answer?:string, values?:Object<string, string>}} state
+   * @returns {Array<{index:number, answer:string}>} excluding the starting step
+   */
+  getLikelyPath(state) {
+    const values = state.values || {};
+    const path = [];
+    const seen = new Set();
+    let node = this.getNode(state.stepIndex, state.answer);
+
+    while (node && !seen.has(node.id)) {
+      seen.add(node.id);
+      const edge = node.branch
+        ? node.edges.find(e => e.type === 'branch' && values[e.name] === e.value) || node.edges.find(e => e.type === 'branch')
+        : node.edges.find(e => e.type === 'go-to' || e.type === 'next');
+      node = edge ? this._resolveEdge(edge) : null;
+      if (node && !seen.has(node.id)) path.push({ index: node.index, answer: node.answer });
+    }
+    return path;
+  }
+
+  /**
+   * Structural problems in the markup.
+   * @returns {{unreachable:number[], dangling:Array<{index:number, answer:string, target:string, type:string}>, duplicates:Array<{answer:string, steps:number[]}>, cycles:Array<Array<{index:number, answer:string}>>}}
+   */
+  diagnose() {
+    const dangling = [];
+    this.nodes.forEach(node => {
+      node.edges.forEach(edge => {
+        if (edge.target !== null && !this._resolveEdge(edge)) {
+          dangling.push({ index: node.index, answer: node.answer, target: edge.target, type: edge.type });
+        }
+      });
+    });
+
+    const duplicates = [];
+    this.answers.forEach((ids, answer) => {
+      if (ids.length > 1) duplicates.push({ answer, steps: ids.map(id => this.nodes.get(id).index) });
+    });
+
+    const start = this._getDefaultNode(0);
+    const reached = new Set();
+    const queue = start ? [start] : [];
+    while (queue.length) {
+      const node = queue.shift();
+      if (reached.has(node.id)) continue;
+      reached.add(node.id);
+      this._getTargets(node).forEach(next => queue.push(next));
+    }
+    const reachedSteps = new Set(Array.from(reached).map(id => this.nodes.get(id).index));
+    const unreachable = this.stepManager.steps
+      .map(step => step.index)
+      .filter(index => !reachedSteps.has(index));
+
+    return { unreachable, dangling, duplicates, cycles: this._findCycles() };
+  }
+
+  /**
+   * Every route from the first step to an end, following branch, go-to and skip edges.
+   * Each node is visited at most once per path, so loops are cut.
+   * @param {{limit?:number}} [options] stop after this many paths
+   * @returns {Array<Array<{index:number, answer:string}>>}
+   */
+  getPaths({ limit = 1000 } = {}) {
+    const start = this._getDefaultNode(0);
+    if (!start) return [];
+    const paths = [];
+    const onPath = new Set();
+    const path = [];
+
+    const walk = (node) => {
+      if (paths.length >= limit) return;
+      onPath.add(node.id);
+      path.push({ index: node.index, answer: node.answer });
+
+      const targets = this._getTargets(node).filter(next => !onPath.has(next.id));
+      if (!targets.length) {
+        paths.push(path.slice());
+      } else {
+        targets.forEach(next => walk(next));
+      }
+
+      path.pop();
+      onPath.delete(node.id);
+    };
+    walk(start);
+    return paths;
+  }
+
+  /**
+   * Ways a step can be displayed: its wrappers with data-answer, or the step itself.
+   */
+  _getEntries(step) {
+    const entries = step.wrappers
+      .filter(wrapper => wrapper.answer)
+      .map(wrapper => ({ answer: wrapper.answer, element: wrapper.element }));
+    return entries.length ? entries : [{ answer: '', element: step.element }];
+  }
+
+  _isBranching(stepElement) {
+    return stepElement.getAttribute('data-branch') === 'true' || stepElement.querySelector('[data-branch="true"]') !== null;
+  }
+
+  /**
+   * Exits of a node, looked up in the displayed wrapper first and then the rest of the step.
+   */
+  _collectEdges(node, stepElement) {
+    const edges = [];
+    const scope = node.element;
+
+    if (node.branch) {
+      let radios = Array.from(scope.querySelectorAll('input[type="radio"][data-go-to]'));
+      if (!radios.length) radios = Array.from(stepElement.querySelectorAll('input[type="radio"][data-go-to]'));
+      radios.forEach(radio => {
+        edges.push({ type: 'branch', target: radio.getAttribute('data-go-to'), name: radio.name, value: radio.value });
+      });
+    } else {
+      const target = this._findSequentialTarget(scope, stepElement);
+      if (target) {
+        edges.push({ type: 'go-to', target });
+      } else {
+        edges.push({ type: 'next', target: null, index: node.index + 1 });
+      }
+    }
+
+    const skipSelector = SKIP_ATTRIBUTES.map(attr => `[${attr}]`).join(', ');
+    let skips = Array.from(scope.querySelectorAll(skipSelector));
+    if (!skips.length && scope !== stepElement) {
+      // skip controls often sit outside the wrappers, next to the nav buttons
+      skips = Array.from(stepElement.querySelectorAll(skipSelector)).filter(el => !el.closest('[data-answer]'));
+    }
+    skips.forEach(el => {
+      const attr = SKIP_ATTRIBUTES.find(a => el.hasAttribute(a));
+      const target = el.getAttribute(attr);
+      if (target && !edges.some(e => e.type === 'skip' && e.target === target)) {
+        edges.push({ type: 'skip', target });
+      }
+    });
+    return edges;
+  }
+
+  /**
+   * data-go-to on the wrapper, then on an enclosing element inside the step, then any
+   * non-radio data-go-to in the step.
+   */
+  _findSequentialTarget(scope, stepElement) {
+    if (scope.hasAttribute('data-go-to')) return scope.getAttribute('data-go-to');
+    let el = scope.parentElement;
+    while (el && scope !== stepElement && stepElement.contains(el)) {
+      if (el.hasAttribute('data-go-to')) return el.getAttribute('data-go-to');
+      el = el.parentElement;
+    }
+    const nested = stepElement.querySelector('[data-go-to]:not([type="radio"])');
+    return nested ? nested.getAttribute('data-go-to') : null;
+  }
+
+  /**
+   * Node an edge leads to, or null if its target does not exist.
+   */
+  _resolveEdge(edge) {
+    if (edge.type === 'next') return this._getDefaultNode(edge.index);
+    const ids = this.answers.get(edge.target);
+    if (ids) return this.nodes.get(ids[0]);
+
+    // Same case-insensitive fallback the navigation has always allowed
+    const lower = edge.target.toLowerCase();
+    for (const [answer, matches] of this.answers) {
+      if (answer.toLowerCase() === lower) return this.nodes.get(matches[0]);
+    }
+    return null;
+  }
+
+  _getTargets(node) {
+    return node.edges.map(edge => this._resolveEdge(edge)).filter(Boolean);
+  }
+
+  _getDefaultNode(index) {
+    for (const node of this.nodes.values()) {
+      if (node.index === index) return node;
+    }
+    return null;
+  }
+
+  /**
+   * Cycles closed by back edges of a depth-first walk over the whole graph.
+   */
+  _findCycles() {
+    const cycles = [];
+    const seen = new Set();
+    const state = new Map(); // id -> 'active' | 'done'
+    const stack = [];
+
+    const visit = (node) => {
+      state.set(node.id, 'active');
+      stack.push(node);
+      this._getTargets(node).forEach(next => {
+        if (state.get(next.id) === 'active') {
+          const cycle = stack.slice(stack.indexOf(next));
+          const key = cycle.map(n => n.id).sort().join('|');
+          if (!seen.has(key)) {
+            seen.add(key);
+            cycles.push(cycle.map(n => ({ index: n.index, answer: n.answer })));
+          }
+        } else if (!state.has(next.id)) {
+          visit(next);
+        }
+      });
+      stack.pop();
+      state.set(node.id, 'done');
+    };
+
+    this.nodes.forEach(node => {
+      if (!state.has(node.id)) visit(node);
+    });
+    return cycles;
+  }
+}
+
+export default FlowGraph;
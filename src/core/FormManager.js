@@ -1,9 +1,24 @@
 import StepManager from './StepManager.js';
+import FlowGraph from './FlowGraph.js';
 import Navigation from './Navigation.js';
 import Memory from '../features/Memory.js';
 import Summary from '../features/Summary.js';
+import ConditionalLogic from '../features/ConditionalLogic.js';
+import Repeater from '../features/Repeater.js';
+import MemberCollection from '../features/MemberCollection.js';
+import AddressAutocomplete from '../features/AddressAutocomplete.js';
+import PhoneFormat from '../features/PhoneFormat.js';
+import ContactSame from '../features/ContactSame.js';
+import Progress from '../features/Progress.js';
+import Stepper from '../features/Stepper.js';
+import Router from '../features/Router.js';
+import StepObserver from '../features/StepObserver.js';
+import Submission from '../features/Submission.js';
+import SubmissionQueue from '../features/SubmissionQueue.js';
 import Validation from './Validation.js';
 import { highlightField, clearHighlight } from '../utils/fieldHighlight.js';
+import { configureLogger, getLogger } from '../utils/logger.js';
+import { registerForm, unregisterForm, getFormManager } from '../utils/registry.js';
 
 class FormManager {
   /**
@@ -15,20 +30,117 @@ class FormManager {
     }
 
     this.form = formElement;
-    this.currentStep = 0;
-    this.history = [0];
     this.options = Object.assign({
-      progress: true
+      progress: true,
+      // Default seconds per step for the time-remaining estimate (data-step-seconds overrides)
+      secondsPerStep: 20,
+      // 'hash' | 'query' to mirror the step in the URL (or data-routing on the form)
+      routing: false,
+      routeParam: 'step',
+      // 'silent' | 'error' | 'warn' | 'debug' (data-debug on the form works too)
+      logLevel: null,
+      // Sink with error/warn/debug methods receiving log output instead of the console
+      logger: null,
+      // Re-index steps when markup is injected later (or data-observe-steps="true" on the form)
+      observeSteps: false,
+      // AddressProvider for data-populate-fields inputs; defaults to Google Places when loaded
+      addressProvider: null,
+      // Submission settings ({endpoint, format, timeout, retries, redirect, ...}); setting it
+      // enables submission handling like data-submit="true"
+      submission: null,
+      // MemoryAdapter for drafts ({load, save, clear}); defaults to the data-memory choice
+      memoryAdapter: null,
+      // Draft lifetime in ms (or data-memory-ttl on the form); 0 keeps drafts forever
+      memoryTtl: null,
+      // Convert drafts saved by an older data-form-version: { '<old version>': draft => draft }
+      // ('unversioned' converts drafts saved before versions were stamped, which are otherwise kept)
+      memoryMigrations: null
     }, options);
 
+    if (this.options.logLevel || this.options.logger) {
+      configureLogger(this.form, { level: this.options.logLevel, sink: this.options.logger });
+    }
+    this.logger = getLogger(this.form, 'FormManager');
+
+    if (getFormManager(this.form)) {
+      this.logger.warn('This form already has a FormManager; MultiStepForms.get() now returns the new one.');
+    }
+    registerForm(this.form, this);
+
+    this._setup();
+  }
+
+  /**
+   * Create the feature modules and listeners for the form's current markup.
+   * Everything set up here is undone by destroy().
+   */
+  _setup() {
+    this._listeners = new AbortController();
+    const signal = this._listeners.signal;
+
+    this.currentStep = 0;
+    this._pendingValidation = null;
+    this._editOrigin = null;
+    /**
+     * Steps actually visited, with the wrapper answer each one displayed.
+     * @type {Array<{index:number, answer:string|null}>}
+     */
+    this.history = [{ index: 0, answer: '' }];
+    /**
+     * Furthest route reached; history is a prefix of it after going back, so the
+     * stepper can jump forward again.
+     * @type {Array<{index:number, answer:string|null}>}
+     */
+    this.furthestPath = this.getPath();
+
     this.stepManager = new StepManager(this.form);
     this.navigation = new Navigation(this.stepManager);
 
+    // Branch graph compiled from data-go-to / data-answer (built in init)
+    this.flowGraph = new FlowGraph(this.stepManager);
+    this.progress = new Progress(this.form, this.flowGraph, { secondsPerStep: this.options.secondsPerStep });
+
     // Autosave memory feature
-    this.memory = new Memory(this.form, this.stepManager);
+    this.memory = new Memory(this.form, this.stepManager, undefined, {
+      adapter: this._memoryAdapter || this.options.memoryAdapter,
+      version: this._memoryVersion,
+      ttl: this.options.memoryTtl,
+      migrations: this.options.memoryMigrations
+    });
 
     // Validation
-    this.validation = new Validation(this.form);
+    this.validation = new Validation(this.form, this.stepManager);
+
+    // Repeatable field groups (data-dynamic-group / data-template)
+    this.repeater = new Repeater(this.form, this.memory);
+    this.repeater.init();
+
+    // Member/manager blocks (data-js="memberBlockTemplate")
+    this.members = new MemberCollection(this.form, this.stepManager, this.repeater);
+
+    // Address autocomplete (data-populate-fields / data-address-component)
+    this.address = new AddressAutocomplete(this.form, this.options.addressProvider);
+    this.address.init();
+
+    // Phone formatting (data-phone-format / data-country-code)
+    this.phoneFormat = new PhoneFormat(this.form, this.memory);
+    this.phoneFormat.init();
+
+    // "Same as main contact" checkboxes (data-contact-same)
+    this.contactSame = new ContactSame(this.form, this.memory);
+    this.contactSame.init();
+
+    // data-hide-if / data-show-if visibility rules
+    this.conditionalLogic = new ConditionalLogic(this.form, this.memory);
+    this.conditionalLogic.evaluate();
+    // A revealed step or branch wrapper only shows if it is the current one
+    this.form.addEventListener('visibilityChange', (e) => {
+      const { element, hidden } = e.detail;
+      const current = this.stepManager.steps[this.currentStep];
+      if (hidden || !current || !current.element.contains(element)) return;
+      if (!element.matches('[data-form="step"], [data-answer]')) return;
+      this.stepManager.showStep(this.currentStep, this.stepManager.getAnswer(this.currentStep));
+    }, { signal });
 
     this.attachGlobalListeners();
 
@@ -36,10 +148,55 @@ class FormManager {
     this.form.addEventListener('editField', (e) => {
       const { fieldName } = e.detail;
       this.editField(fieldName);
-    });
+    }, { signal });
 
     this.editContext = null;
 
+    // Clickable step indicator ([data-form="stepper"])
+    this.stepper = null;
+    const stepperContainer = this.form.querySelector('[data-form="stepper"]');
+    if (stepperContainer) {
+      this.stepper = new Stepper(this.form, this.stepManager, stepperContainer);
+      this.form.addEventListener('stepperSelect', (e) => {
+        this.jumpToStep(e.detail.stepIndex);
+      }, { signal });
+    }
+
+    // Optional URL routing and browser Back/Forward
+    this.router = null;
+    const routing = this.options.routing || this.form.getAttribute('data-routing');
+    if (routing) {
+      this.router = new Router(this.form, this.stepManager, {
+        mode: routing,
+        param: this.form.getAttribute('data-route-param') || this.options.routeParam
+      });
+      this.router.init();
+      this.form.addEventListener('routeRequest', (e) => {
+        if (e.detail.stepIndex === this.currentStep) return;
+        this.jumpToStep(e.detail.stepIndex).then(moved => {
+          // Keep the URL on the step actually shown
+          if (!moved) this.router.write(this.currentStep, this.stepManager.getAnswer(this.currentStep), { replace: true });
+        });
+      }, { signal });
+    }
+
+    // Dynamically injected steps / wrappers (started by init())
+    this.stepObserver = null;
+    if (this.options.observeSteps || this.form.getAttribute('data-observe-steps') === 'true') {
+      this.stepObserver = new StepObserver(this.form, () => this.refreshSteps());
+    }
+
+    // Sending the answers (data-submit="true"); submit() works either way
+    this.submission = new Submission(this.form, this.stepManager, this.memory, field => this.validation.isHiddenByLogic(field), this.options.submission || {});
+    this._handlesSubmit = !!this.options.submission || this.form.getAttribute('data-submit') === 'true';
+    this._submitting = false;
+    // Submissions to the endpoint that failed offline are kept for later (started by init())
+    this.submissionQueue = null;
+    if (this.submission.config.queue && this.submission.config.endpoint && SubmissionQueue.isSupported()) {
+      this.submissionQueue = new SubmissionQueue(this.form, this.submission, this.form.id || 'default');
+    }
+
+    this.summary = null;
     const summaryContainer = this.form.querySelector('[data-form="summary"]');
     if (summaryContainer) {
       this.summary = new Summary(this.stepManager, this.memory, summaryContainer);
@@ -48,22 +205,32 @@ class FormManager {
 
     // Redirect navigation events to FormManager so we keep state in sync
     this.navigation.handleNext = () => {
-      const currentStepEl = this.stepManager.steps[this.currentStep].element;
-      const valid = this.validation.validateStep(currentStepEl);
-      if (valid) {
-        this.nextStep();
-      } else if (this.navigation.triggerErrorShake) {
-        this.navigation.triggerErrorShake();
-      }
+      this.next();
     };
     this.navigation.handlePrevious = () => {
       this.previousStep();
     };
+    this.navigation.handleSkip = (target) => {
+      this.skipTo(target);
+    };
 
     // Progress indicator
     if (this.options.progress) {
       this._initProgressBar();
     }
+
+    // Drafts from asynchronous storage (IndexedDB, remote) arrive after the form is shown
+    // and after init() applied conditional logic, contact links and phone formats
+    this.form.addEventListener('memoryRestored', () => {
+      this._reindexSteps(() => this._restoreMembers());
+      this.repeater.restore();
+      this.phoneFormat.refresh();
+      this.contactSame.refresh();
+      this.conditionalLogic.evaluate();
+      if (this.summary) this.summary.update();
+      this._updateProgressBar();
+      this._updateStepper();
+    }, { signal });
   }
 
   _initProgressBar() {
@@ -74,57 +241,520 @@ class FormManager {
     this.progressBar.className = 'progress-bar';
     this.progressContainer.appendChild(this.progressBar);
     this.form.prepend(this.progressContainer);
-    this._updateProgressBar();
+    // width is set by the first goToStep(), once the flow graph is built
   }
 
   _updateProgressBar() {
-    if (!this.progressBar) return;
-    this.progressBar.style.width = this.getProgressPercent() + '%';
+    const progress = this.getProgress();
+    if (this.progressBar) this.progressBar.style.width = progress.percent + '%';
+    this.progress.render(progress);
+  }
+
+  /**
+   * Position along the visited path plus the most likely remaining route.
+   * @returns {{current:number, total:number, percent:number, remaining:number, secondsRemaining:number, path:Array}}
+   */
+  getProgress() {
+    return this.progress.compute(this.history, this._getChoiceValues(this.form));
   }
 
   getProgressPercent() {
-    const total = this.stepManager.steps.length;
-    return Math.round(((this.currentStep + 1) / total) * 100);
+    return this.getProgress().percent;
+  }
+
+  /**
+   * PUBLIC API
+   * Stable entry points for integrations; see also getProgress(), getPath(), getMembers()
+   * and addMember().
+   */
+
+  /**
+   * Saved field values by name.
+   * @returns {Object<string, any>}
+   */
+  getValues() {
+    return this.memory.getAllValues();
+  }
+
+  /**
+   * Fill fields and save them, e.g. setValues({ email: 'a@b.co', services: ['tax'] }).
+   * @param {Object<string, any>} values
+   * @returns {boolean} false if a fieldChange listener cancelled any of the changes
+   */
+  setValues(values) {
+    let allApplied = true;
+    Object.keys(values || {}).forEach(name => {
+      if (!this.memory.setValue(name, values[name])) allApplied = false;
+    });
+    // A radio set here may change the route ahead
+    this._updateProgressBar();
+    if (this.summary) this.summary.update();
+    return allApplied;
+  }
+
+  /**
+   * Jump to a step on the user's route, addressed by its data-step-name, data-step-slug,
+   * a wrapper's data-answer or its index.
+   * @param {string|number} step
+   * @returns {Promise<boolean>} whether the step is now shown
+   */
+  goTo(step) {
+    const index = this._resolveStep(step);
+    if (index === -1) {
+      this._navigationError('unknown-step', `No step matches "${step}".`, { target: step });
+      return Promise.resolve(false);
+    }
+    return this.jumpToStep(index);
+  }
+
+  /**
+   * Validate the current step (including async validators) and advance.
+   * @returns {Promise<boolean>} whether the form moved to another step
+   */
+  next() {
+    // Navigation stays blocked until async validators resolve
+    if (this._pendingValidation) return this._pendingValidation.then(() => false);
+    const stepIndex = this.currentStep;
+    const currentStepEl = this.stepManager.steps[stepIndex].element;
+    const { signal } = this._listeners;
+
+    this.navigation.setPending(true);
+    this._pendingValidation = this.validation.validateStepAsync(currentStepEl)
+      .then(valid => {
+        // the user may have navigated away (or the form was destroyed) while validators ran
+        if (signal.aborted || this.currentStep !== stepIndex) return false;
+        if (valid) return this.nextStep();
+        if (this.navigation.triggerErrorShake) this.navigation.triggerErrorShake();
+        this._updateStepper();
+        return false;
+      })
+      .finally(() => {
+        if (signal.aborted) return;
+        this._pendingValidation = null;
+        this.navigation.setPending(false);
+      });
+    return this._pendingValidation;
+  }
+
+  /**
+   * Go back one step along the path taken.
+   * @returns {boolean} whether the form moved
+   */
+  back() {
+    return this.previousStep();
+  }
+
+  /**
+   * Validate the current step, including async validators.
+   * @returns {Promise<boolean>}
+   */
+  validate() {
+    const stepEl = this.stepManager.steps[this.currentStep].element;
+    return this.validation.validateStepAsync(stepEl).then(valid => {
+      this._updateStepper();
+      return valid;
+    });
+  }
+
+  /**
+   * Clear all fields, saved values and the route, and return to the first step.
+   * @returns {boolean} false if a beforeStepChange listener kept the current step
+   */
+  reset() {
+    this.validation.cancelPending();
+    this.form.reset();
+    this.memory.clear();
+    this.stepManager.stepAnswers.clear();
+    this.stepManager.visitedWrappers.clear();
+    this.stepManager.steps.forEach(step => this.validation.clearErrors(step.element));
+    this.conditionalLogic.evaluate();
+    this._editOrigin = null;
+    this._removeEditBar();
+
+    const start = [{ index: 0, answer: '' }];
+    const moved = this.goToStep(0, { answer: '', history: start, direction: 'back' });
+    if (moved) this.furthestPath = this.getPath();
+    if (this.summary) this.summary.update();
+    return moved;
+  }
+
+  /**
+   * Snapshot of the form's state.
+   * @returns {{currentStep:number, totalSteps:number, answer:string, path:Array<{index:number, answer:string|null}>, values:Object<string, any>, progress:{current:number, total:number, percent:number, remaining:number}, canGoBack:boolean, isLastStep:boolean, pending:boolean}}
+   */
+  getState() {
+    const { current, total, percent, remaining } = this.getProgress();
+    return {
+      currentStep: this.currentStep,
+      totalSteps: this.stepManager.steps.length,
+      answer: this.stepManager.getAnswer(this.currentStep),
+      path: this.getPath(),
+      values: this.getValues(),
+      progress: { current, total, percent, remaining },
+      canGoBack: this.canGoBack(),
+      isLastStep: this.currentStep === this.stepManager.steps.length - 1,
+      pending: !!this._pendingValidation
+    };
+  }
+
+  /**
+   * Validate every step on the route, dispatch `beforeSubmit`, then send the answers to the
+   * endpoint and show the success or failure state. Without an endpoint the validated form
+   * is handed back to the browser / Webflow submission. Answers that cannot be sent for lack
+   * of a connection are queued and resent later (data-submit-queue).
+   * @returns {Promise<boolean>} whether the answers were submitted or queued
+   */
+  async submit() {
+    if (this._submitting) return false;
+    this._submitting = true;
+    const { signal } = this._listeners;
+    try {
+      if (!(await this._validatePath()) || signal.aborted) return false;
+
+      const values = this.submission.collect(this.history);
+      const allowed = this.form.dispatchEvent(new CustomEvent('beforeSubmit', {
+        cancelable: true,
+        detail: { stepIndex: this.currentStep, values, path: this.getPath() }
+      }));
+      if (!allowed) {
+        this.logger.debug('Submission cancelled by a beforeSubmit listener');
+        return false;
+      }
+
+      if (!this.submission.config.endpoint) {
+        this._handOffSubmit();
+        return true;
+      }
+
+      this.submission.setWaiting(true);
+      const result = await this.submission.send(values);
+      if (signal.aborted) return false;
+      this.submission.setWaiting(false);
+
+      if (!result.ok && this.submissionQueue && (result.error === 'network' || result.error === 'timeout')) {
+        const queued = await this.submissionQueue.add(values, result.key, result.error);
+        if (signal.aborted) return false;
+        if (queued) {
+          // the queue owns the answers now; no redirect while the connection is down
+          this.memory.clear();
+          this.submission.showSuccess({ redirect: false });
+          return true;
+        }
+      }
+
+      const detail = { values, status: result.status, data: result.data, attempts: result.attempts, key: result.key };
+      if (result.ok) {
+        // the answers are delivered; do not offer them again on the next visit
+        this.memory.clear();
+        this.submission.showSuccess();
+        this.form.dispatchEvent(new CustomEvent('submitSuccess', { detail }));
+      } else {
+        this.logger.error(`Submission failed after ${result.attempts} attempt(s): ${result.error}`);
+        this.submission.showFailure();
+        this.form.dispatchEvent(new CustomEvent('submitError', { detail: { ...detail, error: result.error } }));
+      }
+      return result.ok;
+    } finally {
+      if (!signal.aborted) this._submitting = false;
+    }
+  }
+
+  /**
+   * Validate the steps on the route in order and show the first invalid one.
+   * @returns {Promise<boolean>}
+   */
+  async _validatePath() {
+    const { signal } = this._listeners;
+    for (let i = 0; i < this.history.length; i++) {
+      const entry = this.history[i];
+      const stepEl = this.stepManager.steps[entry.index].element;
+      const valid = await this.validation.validateStepAsync(stepEl);
+      if (signal.aborted) return false;
+      if (valid) continue;
+
+      if (entry.index !== this.currentStep) {
+        this.goToStep(entry.index, { answer: entry.answer, history: this.history.slice(0, i + 1), direction: 'jump' });
+      }
+      this._navigationError('invalid-step', `Step ${entry.index} must be valid before submitting.`, { target: entry.index });
+      if (this.navigation.triggerErrorShake) this.navigation.triggerErrorShake();
+      this._updateStepper();
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Submit the form natively so Webflow's own handler (or the browser) sends it.
+   */
+  _handOffSubmit() {
+    this._handingOff = true;
+    try {
+      if (typeof this.form.requestSubmit === 'function') {
+        this.form.requestSubmit();
+      } else if (this.form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }))) {
+        this.form.submit();
+      }
+    } finally {
+      this._handingOff = false;
+    }
+  }
+
+  /**
+   * Listen for one of the form's events (see data-attributes.md).
+   * @param {string} type e.g. 'stepChange', 'beforeSubmit'
+   * @param {(event:CustomEvent) => void} listener
+   * @returns {() => void} removes the listener
+   */
+  on(type, listener) {
+    this.form.addEventListener(type, listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * @param {string} type
+   * @param {(event:CustomEvent) => void} listener
+   */
+  off(type, listener) {
+    this.form.removeEventListener(type, listener);
+  }
+
+  /**
+   * Index of the step a name, slug, answer or index refers to.
+   * @returns {number} -1 if none matches
+   */
+  _resolveStep(step) {
+    const steps = this.stepManager.steps;
+    if (typeof step === 'number') return steps[step] ? step : -1;
+    const byName = steps.find(s => s.element.dataset.stepName === step || s.element.dataset.stepSlug === step);
+    if (byName) return byName.index;
+    const byAnswer = steps.find(s => s.wrappers.some(w => w.answer === step || w.element.dataset.stepSlug === step));
+    return byAnswer ? byAnswer.index : -1;
   }
 
   /**
    * Initialize the multi-step form.
    */
   init() {
+    this._restoreMembers();
+    this._compileSteps();
+
+    // Read a deep link before the first step overwrites the URL
+    const route = this.router ? this.router.read() : null;
+    
+    this.goToStep(0);
+
+    if (route && route.index !== 0) {
+      this._followRoute(route);
+    }
+    if (this.stepObserver) this.stepObserver.start();
+    if (this.submissionQueue) this.submissionQueue.start();
+  }
+
+  /**
+   * Discover the steps and compile the branch graph and stepper from them.
+   */
+  _compileSteps() {
     this.stepManager.discoverSteps();
     
     // Validate all steps for structure compatibility on initialization
     this.stepManager.steps.forEach((step, index) => {
       this._validateStructureCompatibility(step.element);
     });
-    
+
+    this.flowGraph.build();
+    this._reportFlowIssues();
+    if (this.stepper) this.stepper.build();
+  }
+
+  /**
+   * Detach the form: remove listeners (form, document, window), cancel timers and pending
+   * validation, and remove injected markup (progress bar, stepper items, edit bar, address
+   * suggestions, error messages). Field values, saved memory and the visible step are left
+   * as they are. The form can then be managed again by reinit() or a new FormManager.
+   */
+  destroy() {
+    if (this._destroyed) return;
+    this._destroyed = true;
+
+    this._listeners.abort();
+    this._globalListenersAttached = false;
+    clearTimeout(this._editTimer);
+    this._removeEditBar();
+
+    [
+      this.navigation, this.memory, this.validation, this.repeater, this.address, this.phoneFormat,
+      this.contactSame, this.conditionalLogic, this.stepper, this.router, this.summary, this.stepObserver, this.submission, this.submissionQueue
+    ].forEach(feature => {
+      if (feature) feature.destroy();
+    });
+
+    if (this.progressContainer) {
+      this.progressContainer.remove();
+      this.progressContainer = null;
+      this.progressBar = null;
+    }
+    unregisterForm(this.form, this);
+    this.logger.debug('FormManager destroyed');
+  }
+
+  /**
+   * Rebuild from the form's current markup, e.g. after a CMS re-render or a page
+   * transition swapped parts of the form. Registered validators and the address provider
+   * are kept, and the user stays on their route when its steps still exist.
+   * @returns {FormManager} this
+   */
+  reinit() {
+    const { rules, asyncValidators, stepValidators } = this.validation;
+    const provider = this.address.provider;
+    const history = this.getPath();
+    const furthestPath = this.furthestPath;
+    // the new Memory reads the draft the old one flushes on destroy(); generated steps and
+    // rows must not make it look like a draft of another form version
+    this._memoryAdapter = this.memory.adapter;
+    this._memoryVersion = this.memory.version;
+
+    this.destroy();
+    this._destroyed = false;
+    registerForm(this.form, this);
+    this._setup();
+    Object.assign(this.validation, { rules, asyncValidators, stepValidators });
+    if (provider && provider !== this.address.provider) this.address.setProvider(provider);
+
+    this._compileSteps();
+    if (this.stepObserver) this.stepObserver.start();
+    if (this.submissionQueue) this.submissionQueue.start();
+    const fits = path => path.every(entry => this.stepManager.steps[entry.index]);
+    const last = history[history.length - 1];
     this.goToStep(0);
+    if (history.length > 1 && fits(history)) {
+      if (fits(furthestPath)) this.furthestPath = furthestPath;
+      this.goToStep(last.index, { answer: last.answer, history, direction: 'jump' });
+    }
+    this.logger.debug('FormManager re-initialized');
+    return this;
+  }
+
+  /**
+   * Walk the route from the current step towards a deep-linked step, validating each step
+   * on the way. Stops at the first step that does not validate or needs a choice.
+   * @param {{index:number, answer:string}} route
+   * @returns {Promise<boolean>} whether the linked step was reached
+   */
+  async _followRoute(route) {
+    const { signal } = this._listeners;
+    // Each node is passed at most once, so a loop in the markup cannot spin forever
+    for (let guard = this.flowGraph.nodes.size; guard > 0 && this.currentStep !== route.index; guard--) {
+      const stepEl = this.stepManager.steps[this.currentStep].element;
+      const valid = await this.validation.validateStepAsync(stepEl);
+      if (signal.aborted) return false;
+      const next = valid
+        ? this.flowGraph.getNextStep({
+          stepIndex: this.currentStep,
+          answer: this.stepManager.getAnswer(this.currentStep),
+          values: this._getChoiceValues(stepEl)
+        })
+        : null;
+      if (!next || next.index === -1) {
+        // Land on the incomplete step without flagging fields the user has not touched yet
+        this.validation.clearErrors(stepEl);
+        this._navigationError('deep-link-blocked', `Deep link to step ${route.index} stopped at step ${this.currentStep}.`, { target: route.index });
+        this._updateStepper();
+        return false;
+      }
+      if (!this.goToStep(next.index, { answer: next.answer, direction: 'forward' })) return false;
+    }
+    return this.currentStep === route.index;
+  }
+
+  /**
+   * Log structural problems found while compiling the branch graph.
+   */
+  _reportFlowIssues() {
+    const { unreachable, dangling, duplicates, cycles } = this.flowGraph.diagnose();
+    if (unreachable.length) {
+      this.logger.warn(`Steps ${unreachable.join(', ')} cannot be reached from the first step.`);
+    }
+    dangling.forEach(({ index, answer, target, type }) => {
+      this.logger.warn(`Step ${index}${answer ? ` ("${answer}")` : ''} has a ${type} target "${target}" with no matching data-answer.`);
+    });
+    duplicates.forEach(({ answer, steps }) => {
+      this.logger.warn(`data-answer="${answer}" is used more than once (steps ${steps.join(', ')}).`);
+    });
+    cycles.forEach(cycle => {
+      this.logger.warn(`Navigation loop: ${cycle.map(n => n.answer || n.index).join(' → ')}.`);
+    });
   }
 
   /**
    * Navigate to a specific step index.
+   * Moving to another step first dispatches a cancelable `beforeStepChange`; if a listener
+   * calls preventDefault() nothing changes.
    * @param {number} index
+   * @param {{answer?:string|null, history?:Array<{index:number, answer:string|null}>, direction?:'forward'|'back'|'jump'}} [options]
+   *   answer: wrapper to display; history: path to record once the change is allowed
+   * @returns {boolean} whether the step was shown
    */
-  goToStep(index) {
+  goToStep(index, options = {}) {
     const prev = this.currentStep;
     const total = this.stepManager.steps.length;
-    if (index < 0 || index >= total) return;
+    if (index < 0 || index >= total) return false;
 
-    console.log(`🚀 [FormManager] STEP PROGRESSION: ${this.currentStep} → ${index}`);
-    console.log(`📋 [FormManager] Navigation history: [${this.history.join(' → ')}] → ${index}`);
+    const toAnswer = options.answer !== undefined ? options.answer || '' : this.stepManager.getAnswer(index);
+    if (prev !== index) {
+      const allowed = this.form.dispatchEvent(new CustomEvent('beforeStepChange', {
+        cancelable: true,
+        detail: {
+          from: prev,
+          to: index,
+          fromAnswer: this.stepManager.getAnswer(prev),
+          toAnswer,
+          direction: options.direction || (index > prev ? 'forward' : 'back'),
+          values: this.memory.getAllValues(),
+          path: this.getPath()
+        }
+      }));
+      if (!allowed) {
+        this.logger.debug(`Step change ${prev} → ${index} cancelled by a beforeStepChange listener`);
+        return false;
+      }
+    }
+    if (options.history) this.history = options.history;
+    if (options.answer !== undefined) this.stepManager.setAnswer(index, options.answer);
+
+    this.logger.debug(`Step ${this.currentStep} → ${index}, path: [${this.getPath().map(e => e.index).join(' → ')}]`);
 
+    // Returning to where a summary edit started drops the edit detour from history
+    if (this._editOrigin && this._editOrigin[this._editOrigin.length - 1].index === index) {
+      this.history = this._editOrigin;
+      this._editOrigin = null;
+    }
+
+    // Step validators still running for the step being left must not report on it later
+    if (prev !== index && this.stepManager.steps[prev]) this.validation.cancelPending(this.stepManager.steps[prev].element);
     this.currentStep = index;
+
+    // Update UI
+    const answer = this.stepManager.showStep(index);
+
     // Avoid recording duplicates
     const lastRecorded = this.history[this.history.length - 1];
-    if (lastRecorded !== index) {
-      this.history.push(index);
+    if (lastRecorded && lastRecorded.index === index) {
+      lastRecorded.answer = answer;
+    } else {
+      this.history.push({ index, answer });
     }
+    if (this.router) this.router.write(index, answer);
 
-    // Update UI
-    this.stepManager.showStep(index);
+    // A route that leaves the furthest path (new branch choice) becomes the furthest path
+    const onFurthestPath = this.history.every((entry, i) => this.furthestPath[i] && this.furthestPath[i].index === entry.index);
+    if (!onFurthestPath && !this._editOrigin) {
+      this.furthestPath = this.getPath();
+    }
+    this.validation.applySubtypeRequirements(this.stepManager.steps[index].element);
     this.navigation.currentIndex = index;
     this.navigation.updateButtonVisibility();
-    if (this.progressBar) this._updateProgressBar();
+    this._updateProgressBar();
+    this._updateStepper();
 
     if (this.summary && prev !== index) {
       this.summary.update();
@@ -145,85 +775,208 @@ class FormManager {
       const completeEvt = new Event('formComplete');
       this.form.dispatchEvent(completeEvt);
     }
+    return true;
   }
 
-  /** Advance to the next step */
+  /**
+   * Advance to the next step without validating (see next()).
+   * @returns {boolean} whether the form moved
+   */
   nextStep() {
     const currentStepEl = this.stepManager.steps[this.currentStep].element;
     
     // Validate structure compatibility and show helpful warnings
     this._validateStructureCompatibility(currentStepEl);
-    
-    // Enhanced wrapper search with graceful fallbacks
-    const wrapper = this._findWrapperGraceful(currentStepEl);
 
-    if (!wrapper) {
-      console.error('Could not find any wrapper element in the current step. Navigation halted.');
-      return;
+    const state = {
+      stepIndex: this.currentStep,
+      answer: this.stepManager.getAnswer(this.currentStep),
+      values: this._getChoiceValues(currentStepEl)
+    };
+    const next = this.flowGraph.getNextStep(state);
+
+    this.logger.debug(`Navigation from step ${this.currentStep}:`, next);
+
+    if (next.error === 'choice-required') {
+      // No choice made on a mandatory branching step.
+      this._findRadioGraceful(currentStepEl);
+      this._navigationError('choice-required', 'Branching step: no radio button selected. Navigation halted.');
+      if (this.navigation.triggerErrorShake) this.navigation.triggerErrorShake();
+      return false;
     }
 
-    // Enhanced branching detection: check for data-branch="true" at multiple levels
-    const isBranchingStep = this._detectBranchingStep(currentStepEl, wrapper);
-    let targetAnswer = null;
+    if (next.error === 'missing-target') {
+      this._navigationError('missing-target', `No step contains [data-answer="${next.target}"]`, { target: next.target });
+      return false;
+    }
 
-    console.log(`🔍 [FormManager] Navigation analysis for step ${this.currentStep}:`);
-    console.log(`🔍 [FormManager] Is branching step: ${isBranchingStep}`);
-    
-    if (isBranchingStep) {
-      // This is a branching step. A radio choice is required.
-      // Enhanced radio search: look within the entire current step DOM tree
-      const conditionalChoice = this._findCheckedRadioWithGoTo(currentStepEl);
-      if (conditionalChoice) {
-        targetAnswer = conditionalChoice.getAttribute('data-go-to');
-        console.log(`🔥 [FormManager] Branching navigation triggered. data-go-to: "${targetAnswer}"`);
-      } else {
-        // No choice made on a mandatory branching step.
-        console.warn('⚠️ [FormManager] Branching step: No radio button selected. Navigation halted.');
-        if (this.navigation.triggerErrorShake) this.navigation.triggerErrorShake();
-        return;
+    if (next.error === 'end') {
+      this._navigationError('no-next-step', `Step ${this.currentStep} has no next step.`);
+      return false;
+    }
+
+    if (next.type === 'branch') {
+      const allowed = this.form.dispatchEvent(new CustomEvent('branchSelected', {
+        cancelable: true,
+        detail: {
+          from: this.currentStep,
+          to: next.index,
+          answer: next.answer,
+          goTo: next.target,
+          name: next.name,
+          value: next.value,
+          values: this.memory.getAllValues()
+        }
+      }));
+      if (!allowed) {
+        this.logger.debug(`Branch "${next.name}=${next.value}" cancelled by a branchSelected listener`);
+        return false;
       }
+    }
+
+    if (next.type === 'next') {
+      this.logger.debug('No data-go-to: advancing to the next step in DOM order.');
     } else {
-      // This is a sequential step. Look for its target on the wrapper itself or nested elements.
-      targetAnswer = this._findSequentialTarget(wrapper, currentStepEl);
-      if (targetAnswer) {
-        console.log(`➡️ [FormManager] Sequential navigation triggered. data-go-to: "${targetAnswer}"`);
+      this.logger.debug(`data-go-to="${next.answer}" targets step ${next.index}`);
+    }
+    // Pass the selected answer so the right wrapper is displayed
+    return this.goToStep(next.index, { answer: next.answer, direction: 'forward' });
+  }
+
+  /**
+   * Follow a data-skip / data-skip-to control of the current step. The skip is recorded in
+   * the route like any other step, so Back returns to the step it was taken from.
+   * @param {string} target data-answer the control points at
+   * @returns {boolean} whether the step changed
+   */
+  skipTo(target) {
+    const next = this.flowGraph.getSkipStep({
+      stepIndex: this.currentStep,
+      answer: this.stepManager.getAnswer(this.currentStep)
+    }, target);
+    if (next.error) {
+      this._navigationError('missing-target', `No step contains [data-answer="${target}"]`, { target });
+      return false;
+    }
+    this.logger.debug(`Skip to "${target}" targets step ${next.index}`);
+    return this.goToStep(next.index, { answer: next.answer, direction: 'forward' });
+  }
+
+  /**
+   * Log a navigation failure and dispatch `navigationError` with a structured reason.
+   * @param {'choice-required'|'missing-target'|'no-next-step'|'not-on-path'|'invalid-step'|'branch-changed'|'deep-link-blocked'|'unknown-step'} reason
+   * @param {string} message
+   * @param {Object} [detail] extra detail, e.g. {target}
+   */
+  _navigationError(reason, message, detail = {}) {
+    const level = reason === 'missing-target' ? 'error' : reason === 'no-next-step' ? 'debug' : 'warn';
+    this.logger[level](message);
+    this.form.dispatchEvent(new CustomEvent('navigationError', {
+      detail: {
+        reason,
+        message,
+        stepIndex: this.currentStep,
+        answer: this.stepManager.getAnswer(this.currentStep),
+        ...detail
       }
+    }));
+  }
+
+  /**
+   * Checked radio values in a step, keyed by radio name (the state FlowGraph branches on).
+   * @param {HTMLElement} stepElement
+   * @returns {Object<string, string>}
+   */
+  _getChoiceValues(stepElement) {
+    const values = {};
+    stepElement.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
+      values[radio.name] = radio.value;
+    });
+    return values;
+  }
+
+  /**
+   * Go back along the path actually taken, re-showing the wrapper that step displayed.
+   * @returns {boolean} whether the form moved
+   */
+  previousStep() {
+    if (!this.canGoBack()) return false;
+    const history = this.history.slice(0, -1);
+    const previous = history[history.length - 1];
+    this.logger.debug(`Going back from step ${this.currentStep} to step ${previous.index}`);
+    return this.goToStep(previous.index, { answer: previous.answer, history, direction: 'back' });
+  }
+
+  /**
+   * Jump to a step already on the user's route (e.g. from the stepper). Jumping forward
+   * validates the current step first and is refused if the branch taken there changed.
+   * @param {number} index
+   * @returns {Promise<boolean>} whether the jump happened
+   */
+  async jumpToStep(index) {
+    const position = this.furthestPath.findIndex(entry => entry.index === index);
+    const currentPosition = this.history.length - 1;
+    if (position === currentPosition) return true;
+    if (position === -1) {
+      this._navigationError('not-on-path', `Step ${index} is not on the route taken so far.`, { target: index });
+      return false;
     }
 
-    // If a target was determined, find and navigate to it.
-    if (targetAnswer) {
-      console.log(`🎯 [FormManager] Searching for target step with data-answer="${targetAnswer}"`);
-      
-      const targetStepIndex = this.stepManager.steps.findIndex((step, stepIndex) => {
-        // Use graceful fallback to find the answer element
-        const answerElement = this._findAnswerElementGraceful(step.element, targetAnswer);
-        const found = answerElement !== null;
-        console.log(`🔍 [FormManager]   Step ${stepIndex}: ${found ? '✅ CONTAINS' : '❌ does not contain'} data-answer="${targetAnswer}"`);
-        return found;
+    if (position > currentPosition) {
+      const { signal } = this._listeners;
+      const currentStepEl = this.stepManager.steps[this.currentStep].element;
+      const valid = await this.validation.validateStepAsync(currentStepEl);
+      if (signal.aborted) return false;
+      if (!valid) {
+        this._navigationError('invalid-step', `Step ${this.currentStep} must be valid before jumping ahead.`, { target: index });
+        if (this.navigation.triggerErrorShake) this.navigation.triggerErrorShake();
+        this._updateStepper();
+        return false;
+      }
+      const next = this.flowGraph.getNextStep({
+        stepIndex: this.currentStep,
+        answer: this.stepManager.getAnswer(this.currentStep),
+        values: this._getChoiceValues(currentStepEl)
       });
-
-      if (targetStepIndex > -1) {
-        // Store the selected answer for proper wrapper display
-        this.stepManager.selectedAnswer = targetAnswer;
-        console.log(`🎉 [FormManager] SUCCESS! data-go-to="${targetAnswer}" successfully targets data-answer="${targetAnswer}" in step ${targetStepIndex}`);
-        alert(`🎉 Navigation Success!\n\ndata-go-to="${targetAnswer}" successfully found target data-answer="${targetAnswer}" in step ${targetStepIndex}`);
-        this.goToStep(targetStepIndex);
-      } else {
-        console.error(`❌ [FormManager] Navigation failed: Could not find any step containing [data-answer="${targetAnswer}"]`);
-        alert(`❌ Navigation Error!\n\ndata-go-to="${targetAnswer}" could not find matching data-answer="${targetAnswer}" in any step`);
+      if (next.index !== this.furthestPath[currentPosition + 1].index) {
+        // The answers here now lead elsewhere; the old route ahead no longer applies
+        this.furthestPath = this.getPath();
+        this._navigationError('branch-changed', `The answers on step ${this.currentStep} no longer lead to step ${index}.`, { target: index });
+        this._updateStepper();
+        return false;
       }
-      return;
     }
 
-    // Fallback for sequential steps that have no explicit target.
-    console.log('🔄 [FormManager] Fallback navigation: Advancing to next step in DOM order.');
-    this.goToStep(this.currentStep + 1);
+    const target = this.furthestPath[position];
+    return this.goToStep(target.index, {
+      answer: target.answer,
+      history: this.furthestPath.slice(0, position + 1).map(entry => ({ ...entry })),
+      direction: 'jump'
+    });
   }
 
-  /** Go back to the previous step */
-  previousStep() {
-    console.log(`⬅️ [FormManager] Going back from step ${this.currentStep} to step ${this.currentStep - 1}`);
-    this.goToStep(this.currentStep - 1);
+  _updateStepper() {
+    if (!this.stepper) return;
+    this.stepper.update({
+      currentStep: this.currentStep,
+      path: this.furthestPath.map(entry => entry.index)
+    });
+  }
+
+  /**
+   * Whether there is a visited step to go back to.
+   * @returns {boolean}
+   */
+  canGoBack() {
+    return this.history.length > 1;
+  }
+
+  /**
+   * The steps visited to reach the current one, oldest first.
+   * @returns {Array<{index:number, answer:string|null}>}
+   */
+  getPath() {
+    return this.history.map(entry => ({ ...entry }));
   }
 
   /**
@@ -233,6 +986,136 @@ class FormManager {
     return this.stepManager.steps[this.currentStep] || null;
   }
 
+  /**
+   * Collected members of a type as structured objects, e.g.
+   * `{number, subtype, firstName, lastName, trustees: [...]}`.
+   * @param {string} [type] data-step-type of the blocks ('member', 'manager')
+   * @returns {Array<Object>}
+   */
+  getMembers(type = 'member') {
+    return this.members.getMembers(type);
+  }
+
+  /**
+   * Generate the branch for one more member of the given type.
+   * Step indexes may shift, so the current step and history are re-mapped by element.
+   * @param {string} [type]
+   * @returns {number|null} the new member number
+   */
+  addMember(type = 'member') {
+    let number = null;
+    this._reindexSteps(() => {
+      number = this.members.addMember(type);
+    });
+    if (number !== null) {
+      // the draft remembers generated members so a reload can regenerate their steps
+      const saved = this.memory.getMeta('members') || {};
+      this.memory.setMeta('members', { ...saved, [type]: Math.max(saved[type] || 0, number) });
+    }
+    return number;
+  }
+
+  /**
+   * Regenerate the member steps a saved draft had added (up to the highest member number
+   * saved per type) and put their saved values back.
+   * @returns {boolean} whether steps were generated
+   */
+  _restoreMembers() {
+    const saved = this.memory.getMeta('members') || {};
+    let generated = false;
+    Object.keys(saved).forEach(type => {
+      this.members.discover();
+      while (this.members.getLastNumber(type) < saved[type]) {
+        if (this.members.addMember(type) === null) break;
+        generated = true;
+      }
+    });
+    if (generated) {
+      this.memory.restoreValues();
+      this.memory.updateStepIndexes();
+    }
+    return generated;
+  }
+
+  /**
+   * Re-discover steps and data-answer wrappers after the markup changed. The current step
+   * and the route are kept by element, so inserted or removed steps do not move the user.
+   * Dispatches `stepsChanged` when anything differs.
+   * @returns {boolean} whether the steps changed
+   */
+  refreshSteps() {
+    return this._reindexSteps(() => this.stepManager.discoverSteps());
+  }
+
+  /**
+   * Apply a change that re-discovers steps, then re-map positions by element and rebuild
+   * everything derived from the step list.
+   * @param {() => void} change
+   * @returns {boolean} whether the steps changed
+   */
+  _reindexSteps(change) {
+    const before = this.stepManager.steps;
+    const toElements = path => path.map(entry => ({ element: before[entry.index] && before[entry.index].element, answer: entry.answer }));
+    const currentEl = before[this.currentStep] ? before[this.currentStep].element : null;
+    const historyEls = toElements(this.history);
+    const furthestEls = toElements(this.furthestPath);
+
+    change();
+    const steps = this.stepManager.steps;
+    const sameSteps = steps.length === before.length && steps.every((step, i) =>
+      step.element === before[i].element
+      && step.wrappers.length === before[i].wrappers.length
+      && step.wrappers.every((w, j) => w.element === before[i].wrappers[j].element && w.answer === before[i].wrappers[j].answer));
+    if (sameSteps) return false;
+
+    const indexOf = el => steps.findIndex(s => s.element === el);
+    const remap = path => path
+      .map(({ element, answer }) => ({ index: indexOf(element), answer }))
+      .filter(entry => entry.index > -1);
+
+    this.flowGraph.build();
+    this._reportFlowIssues();
+    this.members.discover();
+    this.repeater.discoverGroups();
+    this.memory.updateStepIndexes();
+
+    const prev = this.currentStep;
+    this.history = remap(historyEls);
+    this.furthestPath = remap(furthestEls);
+    if (!this.history.length) this.history = [{ index: 0, answer: '' }];
+    // A removed current step falls back to the last remaining step on the route
+    const currentIndex = indexOf(currentEl);
+    if (currentIndex === -1) {
+      this.logger.warn('The current step was removed from the form; returning to the previous step on the route.');
+    } else if (this.history[this.history.length - 1].index !== currentIndex) {
+      this.history.push({ index: currentIndex, answer: this.stepManager.getAnswer(currentIndex) });
+    }
+    const onFurthestPath = this.history.every((entry, i) => this.furthestPath[i] && this.furthestPath[i].index === entry.index);
+    if (!onFurthestPath) this.furthestPath = this.getPath();
+
+    const current = this.history[this.history.length - 1];
+    this.currentStep = current.index;
+    this.navigation.currentIndex = current.index;
+    // Injected steps arrive visible; show only the current one again
+    this.stepManager.showStep(current.index, current.answer);
+    if (currentIndex === -1 && this.router) this.router.write(current.index, current.answer, { replace: true });
+    if (this.stepper) this.stepper.build();
+    this._updateStepper();
+    this._updateProgressBar();
+    if (this.summary) this.summary.update();
+
+    const added = steps.filter(step => !before.some(b => b.element === step.element)).length;
+    const removed = before.filter(b => !steps.some(step => step.element === b.element)).length;
+    this.logger.debug(`Steps re-indexed: ${added} added, ${removed} removed, now ${steps.length}`);
+    this.form.dispatchEvent(new CustomEvent('stepsChanged', {
+      detail: { totalSteps: steps.length, currentStep: this.currentStep, added, removed }
+    }));
+    if (this.currentStep !== prev || currentIndex === -1) {
+      this.form.dispatchEvent(new CustomEvent('stepChange', { detail: { currentStep: this.currentStep, totalSteps: steps.length } }));
+    }
+    return true;
+  }
+
   /** edit given field name */
   editField(fieldName) {
     if (!this.summary) return;
@@ -241,15 +1124,20 @@ class FormManager {
 
     // store context
     this.editContext = { fieldName };
+    // Remember the path up to the summary so the edit detour is not retraced by Back
+    const startsEdit = !this._editOrigin;
+    if (startsEdit) this._editOrigin = this.getPath();
 
     // Ensure correct conditional wrapper displayed
-    if (loc.wrapperAnswer !== null) {
-      this.stepManager.selectedAnswer = loc.wrapperAnswer;
+    const options = { direction: 'jump' };
+    if (loc.wrapperAnswer !== null) options.answer = loc.wrapperAnswer;
+    if (!this.goToStep(loc.stepIndex, options)) {
+      this.editContext = null;
+      if (startsEdit) this._editOrigin = null;
+      return;
     }
 
-    this.goToStep(loc.stepIndex);
-
-    setTimeout(() => {
+    this._editTimer = setTimeout(() => {
       const field = this.form.querySelector(`[name="${fieldName}"]`);
       if (field) {
         highlightField(field);
@@ -263,7 +1151,7 @@ class FormManager {
     if (this.editBar) this._removeEditBar();
 
     const label = field.placeholder || field.dataset.label || field.name;
-    console.log(`Edit mode started for field "${field.name}"`);
+    this.logger.debug(`Edit mode started for field "${field.name}"`);
     const bar = document.createElement('div');
     bar.className = 'edit-mode-bar';
     bar.innerHTML = `<span>Editing: <strong>${label}</strong></span>`;
@@ -285,17 +1173,17 @@ class FormManager {
 
     const onComplete = () => {
       if (this.validation.validateField(field)) {
-        console.log(`Field "${field.name}" validated, saving and returning to summary`);
+        this.logger.debug(`Field "${field.name}" validated, saving and returning to summary`);
         this.memory.saveAllFields();
         bar.classList.add('success');
         // update summary immediately
         if (this.summary) this.summary.update();
-        setTimeout(() => {
+        this._editTimer = setTimeout(() => {
           this._navigateToSummary();
           this._removeEditBar();
         }, 600);
       } else {
-        console.log(`Validation failed for field "${field.name}"`);
+        this.logger.debug(`Validation failed for field "${field.name}"`);
         // indicate error
         bar.classList.add('shake');
         setTimeout(() => bar.classList.remove('shake'), 400);
@@ -305,7 +1193,7 @@ class FormManager {
     saveBtn.addEventListener('click', (e) => { e.preventDefault(); onComplete(); });
     cancelBtn.addEventListener('click', (e) => {
       e.preventDefault();
-      console.log(`Edit canceled for field "${field.name}"`);
+      this.logger.debug(`Edit canceled for field "${field.name}"`);
       this._removeEditBar();
       this._navigateToSummary();
     });
@@ -332,7 +1220,7 @@ class FormManager {
 
   _removeEditBar() {
     if (this.editBar) {
-      console.log('Edit bar removed');
+      this.logger.debug('Edit bar removed');
       if (this.editBar._cleanup) this.editBar._cleanup();
       this.editBar.remove();
       this.editBar = null;
@@ -345,54 +1233,6 @@ class FormManager {
     this.goToStep(reviewStep);
   }
 
-  /**
-   * Enhanced branching detection: checks for data-branch="true" at multiple levels
-   * @param {HTMLElement} currentStepEl - The current step element
-   * @param {HTMLElement} wrapper - The step wrapper element
-   * @returns {boolean} - Whether this is a branching step
-   */
-  _detectBranchingStep(currentStepEl, wrapper) {
-    // Check wrapper itself first
-    if (wrapper.getAttribute('data-branch') === 'true') {
-      return true;
-    }
-    
-    // Check for any element with data-branch="true" within the current step
-    const branchingElement = currentStepEl.querySelector('[data-branch="true"]');
-    return branchingElement !== null;
-  }
-
-  /**
-   * Enhanced radio search: finds checked radio with data-go-to within entire step DOM tree
-   * @param {HTMLElement} currentStepEl - The current step element
-   * @returns {HTMLElement|null} - The checked radio element or null
-   */
-  _findCheckedRadioWithGoTo(currentStepEl) {
-    // Use graceful fallback for radio search with backward compatibility
-    return this._findRadioGraceful(currentStepEl);
-  }
-
-  /**
-   * Enhanced sequential target detection: finds data-go-to at wrapper or nested levels
-   * @param {HTMLElement} wrapper - The step wrapper element
-   * @param {HTMLElement} currentStepEl - The current step element
-   * @returns {string|null} - The target answer or null
-   */
-  _findSequentialTarget(wrapper, currentStepEl) {
-    // First check the wrapper itself
-    if (wrapper.hasAttribute('data-go-to')) {
-      return wrapper.getAttribute('data-go-to');
-    }
-    
-    // Then check for any nested element with data-go-to (like step_items)
-    const targetElement = currentStepEl.querySelector('[data-go-to]');
-    if (targetElement) {
-      return targetElement.getAttribute('data-go-to');
-    }
-    
-    return null;
-  }
-
   /**
    * BACKWARD COMPATIBILITY LAYER
    * These methods ensure existing simple forms continue to work without modification
@@ -418,57 +1258,6 @@ class FormManager {
     return 'simple'; // fallback to simple structure
   }
 
-  /**
-   * Graceful fallback for wrapper search - works with any structure type
-   * @param {HTMLElement} stepElement - The step element to search within
-   * @returns {HTMLElement|null} - The wrapper element or null
-   */
-  _findWrapperGraceful(stepElement) {
-    // Primary search: look for .step_wrapper
-    let wrapper = stepElement.querySelector('.step_wrapper');
-    
-    if (!wrapper) {
-      // Fallback 1: look for any element with data-answer (legacy support)
-      wrapper = stepElement.querySelector('[data-answer]');
-      if (wrapper) {
-        console.warn('FormManager: Using fallback wrapper detection. Consider updating to .step_wrapper structure.');
-      }
-    }
-    
-    if (!wrapper) {
-      // Fallback 2: use the step element itself as wrapper (very legacy)
-      wrapper = stepElement;
-      console.warn('FormManager: No .step_wrapper found, using step element as wrapper. This is deprecated.');
-    }
-    
-    return wrapper;
-  }
-
-  /**
-   * Graceful fallback for finding data-answer elements
-   * @param {HTMLElement} stepElement - The step element to search within
-   * @param {string} targetAnswer - The answer value to find
-   * @returns {HTMLElement|null} - The element with matching data-answer
-   */
-  _findAnswerElementGraceful(stepElement, targetAnswer) {
-    // Primary search: comprehensive search at any level
-    let answerElement = stepElement.querySelector(`[data-answer="${targetAnswer}"]`);
-    
-    if (!answerElement) {
-      // Fallback: case-insensitive search (legacy support)
-      const allAnswerElements = stepElement.querySelectorAll('[data-answer]');
-      answerElement = Array.from(allAnswerElements).find(el => 
-        el.getAttribute('data-answer').toLowerCase() === targetAnswer.toLowerCase()
-      );
-      
-      if (answerElement) {
-        console.warn(`FormManager: Found answer element using case-insensitive search. Consider using exact case: "${targetAnswer}"`);
-      }
-    }
-    
-    return answerElement;
-  }
-
   /**
    * Graceful fallback for radio button search
    * @param {HTMLElement} stepElement - The step element to search within
@@ -482,7 +1271,7 @@ class FormManager {
       // Fallback: look for any checked radio and warn about missing data-go-to
       radio = stepElement.querySelector('input[type="radio"]:checked');
       if (radio && !radio.hasAttribute('data-go-to')) {
-        console.warn('FormManager: Found checked radio without data-go-to attribute. Branching may not work correctly.');
+        this.logger.warn('Found checked radio without data-go-to attribute. Branching may not work correctly.');
         return null;
       }
     }
@@ -508,17 +1297,17 @@ class FormManager {
         break;
         
       case 'mixed':
-        console.warn(`FormManager: Step ${stepIndex} has mixed structure (both .step_wrapper[data-answer] and .step_item[data-answer]). This may cause unexpected behavior.`);
+        this.logger.warn(`Step ${stepIndex} has mixed structure (both .step_wrapper[data-answer] and .step_item[data-answer]). This may cause unexpected behavior.`);
         break;
         
       default:
-        console.warn(`FormManager: Step ${stepIndex} has unusual structure. Consider using .step_wrapper containers.`);
+        this.logger.warn(`Step ${stepIndex} has unusual structure. Consider using .step_wrapper containers.`);
     }
     
     // Check for deprecated patterns
     const legacyElements = stepElement.querySelectorAll('[data-target], [data-next]');
     if (legacyElements.length > 0) {
-      console.warn(`FormManager: Step ${stepIndex} contains deprecated attributes (data-target, data-next). Consider migrating to data-go-to and data-answer.`);
+      this.logger.warn(`Step ${stepIndex} contains deprecated attributes (data-target, data-next). Consider migrating to data-go-to and data-answer.`);
     }
   }
 
@@ -526,6 +1315,7 @@ class FormManager {
   attachGlobalListeners() {
     if (this._globalListenersAttached) return;
     this._globalListenersAttached = true;
+    const signal = this._listeners.signal;
 
     // clear highlight on outside click
     document.addEventListener('click', (e) => {
@@ -533,12 +1323,41 @@ class FormManager {
       if (editing && !editing.contains(e.target)) {
         clearHighlight(document);
       }
-    });
+    }, { signal });
+
+    // "Add member" controls generate a new member branch
+    this.form.addEventListener('click', (e) => {
+      const control = /** @type {HTMLElement} */ (e.target).closest('[data-member-add]');
+      if (!control) return;
+      e.preventDefault();
+      this.addMember(control.getAttribute('data-member-add') || 'member');
+    }, { signal });
+
+    // Captured so that taking over (or cancelling) the submission also stops Webflow's handler
+    this.form.addEventListener('submit', (e) => {
+      // submit() handing a validated form back to Webflow
+      if (this._handingOff) return;
+      if (this._handlesSubmit) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        this.submit();
+        return;
+      }
+      const allowed = this.form.dispatchEvent(new CustomEvent('beforeSubmit', {
+        cancelable: true,
+        detail: { stepIndex: this.currentStep, values: this.memory.getAllValues(), path: this.getPath() }
+      }));
+      if (!allowed) {
+        this.logger.debug('Submission cancelled by a beforeSubmit listener');
+        e.preventDefault();
+        e.stopImmediatePropagation();
+      }
+    }, { capture: true, signal });
 
     // clear on form submit
     this.form.addEventListener('submit', () => {
       clearHighlight(this.form);
-    });
+    }, { signal });
 
     // (navigation click handling moved to Navigation.js)
   }
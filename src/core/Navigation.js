@@ -1,3 +1,5 @@
+import { getLogger } from '../utils/logger.js';
+
 class Navigation {
   /**
    * @param {import('./StepManager.js').default} stepManager
@@ -11,6 +13,8 @@ class Navigation {
 
     this.currentIndex = 0;
     this.form = this.stepManager.root; // root should be the form element
+    this.logger = getLogger(this.form, 'Navigation');
+    this._listeners = new AbortController();
 
     this.createButtons();
     this.attachListeners();
@@ -33,32 +37,42 @@ class Navigation {
     
     // Delegate clicks on elements that use data-form="next-btn" or "back-btn"
     this.form.addEventListener('click', (e) => {
-      const el = /** @type {HTMLElement} */ (e.target).closest('[data-form]');
-      if (!el) return;
-      const attr = el.getAttribute('data-form');
+      const target = /** @type {HTMLElement} */ (e.target);
+      const el = target.closest('[data-form]');
+      const attr = el ? el.getAttribute('data-form') : null;
       if (attr === 'next-btn') {
         e.preventDefault();
         this.handleNext();
+        return;
       } else if (attr === 'back-btn') {
         e.preventDefault();
         this.handlePrevious();
+        return;
       }
 
-      // Skip-to support
-      const skipTo = el.getAttribute('data-skip');
-      if (skipTo) {
-        e.preventDefault();
-        const idx = this.stepManager.steps.findIndex(s => {
-          const answerElement = s.element.querySelector(`[data-answer="${skipTo}"]`);
-          return answerElement !== null;
-        });
-        if (idx >= 0) {
-          this.currentIndex = idx;
-          this.stepManager.showStep(idx);
-          this.updateButtonVisibility();
-        }
-      }
-    });
+      // Skip-to support: buttons, links and radios; steps and wrappers carrying the
+      // attribute are graph edges, not click targets
+      const skipEl = target.closest('[data-skip], [data-skip-to]');
+      if (!skipEl || !this.form.contains(skipEl) || skipEl.matches('[data-form="step"], [data-answer]')) return;
+      const skipTo = skipEl.getAttribute('data-skip') || skipEl.getAttribute('data-skip-to');
+      if (!skipTo) return;
+      // let a radio get checked as well
+      if (!(skipEl instanceof HTMLInputElement && skipEl.type === 'radio')) e.preventDefault();
+      this.handleSkip(skipTo);
+    }, { signal: this._listeners.signal });
+  }
+
+  /**
+   * Jump to the step holding the data-answer a skip control points at.
+   * @param {string} skipTo
+   */
+  handleSkip(skipTo) {
+    const idx = this.stepManager.steps.findIndex(s => s.element.querySelector(`[data-answer="${skipTo}"]`) !== null);
+    if (idx >= 0) {
+      this.currentIndex = idx;
+      this.stepManager.showStep(idx);
+      this.updateButtonVisibility();
+    }
   }
 
   /**
@@ -93,11 +107,36 @@ class Navigation {
     // No auto-generated buttons to manipulate
   }
 
+  /**
+   * Toggle the pending state of the next buttons while async validation runs.
+   * @param {boolean} pending
+   */
+  setPending(pending) {
+    this.form.querySelectorAll('[data-form="next-btn"]').forEach(btn => {
+      btn.classList.toggle('is-pending', pending);
+      if (pending) {
+        btn.setAttribute('aria-busy', 'true');
+        btn.setAttribute('aria-disabled', 'true');
+      } else {
+        btn.removeAttribute('aria-busy');
+        btn.removeAttribute('aria-disabled');
+      }
+    });
+  }
+
+  /**
+   * Remove the click delegation and the pending state from the next buttons.
+   */
+  destroy() {
+    this._listeners.abort();
+    this.setPending(false);
+  }
+
   /** 
-   * Error feedback through console - no auto-generated nav container to shake
+   * Error feedback through the logger - no auto-generated nav container to shake
    */
   triggerErrorShake() {
-    console.warn('Form validation failed - check required fields');
+    this.logger.debug('Form validation failed - check required fields');
     // Error styling should be handled by Webflow's native form validation
   }
 }
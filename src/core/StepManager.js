@@ -1,18 +1,31 @@
+import { getLogger } from '../utils/logger.js';
+
 class StepManager {
   /**
    * @param {HTMLElement|Document} root - The root element to search within (defaults to document)
    */
   constructor(root = document) {
     this.root = root;
+    this.logger = getLogger(root, 'StepManager');
     /** @type {Array<{element: HTMLElement, index: number, wrappers: Array<{element: HTMLElement, answer: string | null, type: string}>}>} */
     this.steps = [];
 
     /**
-     * Stores the answer value selected on previous step (set by ConditionalLogic).
-     * Empty string means default wrapper.
-     * @type {string}
+     * data-answer of the wrapper each step displays, keyed by step element so it
+     * survives re-discovery. Missing entries mean the default (first) wrapper.
+     * @type {Map<HTMLElement, string>}
      */
-    this.selectedAnswer = '';
+    this.stepAnswers = new Map();
+
+    /** Answer for the next showStep() call when set through the legacy selectedAnswer */
+    this._pendingAnswer = null;
+    this._lastShownAnswer = '';
+
+    /**
+     * Wrapper elements that have been displayed at least once (used by Summary bindings).
+     * @type {Set<HTMLElement>}
+     */
+    this.visitedWrappers = new Set();
   }
 
   /**
@@ -46,6 +59,50 @@ class StepManager {
     return this.steps;
   }
 
+  /**
+   * Legacy single answer: reads the answer of the step shown last; assigning it applies to
+   * the next showStep() call only. Prefer setAnswer()/getAnswer().
+   * @type {string}
+   */
+  get selectedAnswer() {
+    return this._lastShownAnswer;
+  }
+
+  set selectedAnswer(answer) {
+    this._pendingAnswer = answer || '';
+  }
+
+  /**
+   * Remember which wrapper a step should display.
+   * @param {number|HTMLElement} step step index or element
+   * @param {string|null} answer data-answer value; empty clears it
+   */
+  setAnswer(step, answer) {
+    const element = this._getStepElement(step);
+    if (!element) return;
+    if (answer) {
+      this.stepAnswers.set(element, answer);
+    } else {
+      this.stepAnswers.delete(element);
+    }
+  }
+
+  /**
+   * @param {number|HTMLElement} step step index or element
+   * @returns {string} the step's remembered answer, or '' for the default wrapper
+   */
+  getAnswer(step) {
+    const element = this._getStepElement(step);
+    return (element && this.stepAnswers.get(element)) || '';
+  }
+
+  _getStepElement(step) {
+    if (typeof step === 'number') {
+      return this.steps[step] ? this.steps[step].element : null;
+    }
+    return step || null;
+  }
+
   /**
    * Hides all discovered steps using display: none; If no steps discovered yet, it discovers first.
    */
@@ -60,55 +117,60 @@ class StepManager {
 
   /**
    * Shows only the step at the given index (0-based) and hides all others.
+   * The wrapper shown is the given answer, else the one the step displayed before.
    * @param {number} index - Index of the step to show.
+   * @param {string} [answer] - data-answer of the wrapper to show
+   * @returns {string|null} data-answer of the wrapper shown, or null if the step has none
    */
-  showStep(index) {
-    console.log(`[StepManager] 🔍 showStep called for index ${index}`);
+  showStep(index, answer) {
     if (!this.steps.length) {
       this.discoverSteps();
     }
     
-    console.log(`[StepManager] 👁️ Step visibility changes:`);
     this.steps.forEach(step => {
-      const isVisible = step.index === index;
-      step.element.style.display = isVisible ? 'flex' : 'none';
-      console.log(`[StepManager]   Step ${step.index}: ${isVisible ? '✅ VISIBLE' : '❌ HIDDEN'}`);
+      step.element.style.display = step.index === index ? 'flex' : 'none';
     });
 
     // Handle conditional wrappers
     const stepObj = this.steps[index];
     if (stepObj) {
-      const answerVal = index === 0 ? '' : this.selectedAnswer || '';
-      console.log(`[StepManager] 🎯 Looking for wrapper with answer: "${answerVal}"`);
-      this.showWrapper(stepObj, answerVal);
+      let answerVal = answer;
+      if (answerVal === undefined || answerVal === null) {
+        answerVal = this._pendingAnswer !== null ? this._pendingAnswer : this.getAnswer(index);
+      }
+      this._pendingAnswer = null;
+      const shown = this.showWrapper(stepObj, answerVal);
+      this.setAnswer(index, shown);
+      this._lastShownAnswer = shown || '';
+      this.logger.debug(`Showing step ${index} (requested answer "${answerVal}", shown "${shown || ''}")`);
+      return shown;
     }
+    return null;
   }
 
   /**
    * Shows only the wrapper inside given step that matches answerValue.
    * Handles both simple (.step_wrapper) and complex (.step_item) structures.
-   * If not found, shows the first wrapper.
+   * If not found, shows the first wrapper and dispatches `wrapperFallback` on the root
+   * when a specific answer was requested.
    * @param {{wrappers: Array<{element: HTMLElement, answer: string|null, type: string}>}} stepObj
    * @param {string} answerValue
+   * @returns {string|null} data-answer of the wrapper shown
    */
   showWrapper(stepObj, answerValue = '') {
-    if (!stepObj || !stepObj.wrappers) return;
+    if (!stepObj || !stepObj.wrappers) return null;
 
-    console.log(`[StepManager] 🔧 showWrapper: searching for "${answerValue}" among ${stepObj.wrappers.length} wrappers`);
-    
     let shown = false;
     let targetWrapper = null;
 
     // First pass: find the matching wrapper and hide all others
-    stepObj.wrappers.forEach((wrapper, index) => {
+    stepObj.wrappers.forEach(wrapper => {
       const match = (wrapper.answer || '') === answerValue;
-      console.log(`[StepManager]   Wrapper ${index}: data-answer="${wrapper.answer || ''}" type="${wrapper.type}" ${match ? '✅ MATCH' : '❌ no match'}`);
-      
       if (match) {
         targetWrapper = wrapper;
+        this.visitedWrappers.add(wrapper.element);
         wrapper.element.style.display = 'flex';
         shown = true;
-        console.log(`[StepManager] 🎯 TARGET FOUND: Showing wrapper with data-answer="${wrapper.answer}"`);
       } else {
         wrapper.element.style.display = 'none';
       }
@@ -119,7 +181,6 @@ class StepManager {
       const parentWrapper = targetWrapper.element.closest('.step_wrapper');
       if (parentWrapper) {
         parentWrapper.style.display = 'flex';
-        console.log(`[StepManager] 🔗 Showing parent wrapper for step_item`);
       }
       
       // Hide sibling .step_item elements within the same parent
@@ -138,7 +199,13 @@ class StepManager {
     if (!shown && stepObj.wrappers.length) {
       const firstWrapper = stepObj.wrappers[0];
       firstWrapper.element.style.display = 'flex';
-      console.log(`[StepManager] ⚠️ FALLBACK: No match found, showing first wrapper with data-answer="${firstWrapper.answer}"`);
+      this.visitedWrappers.add(firstWrapper.element);
+      if (answerValue) {
+        this.logger.warn(`No wrapper with data-answer="${answerValue}" in step ${stepObj.index}; showing the first wrapper`);
+        this.root.dispatchEvent(new CustomEvent('wrapperFallback', {
+          detail: { stepIndex: stepObj.index, requestedAnswer: answerValue, shownAnswer: firstWrapper.answer }
+        }));
+      }
       
       // If first wrapper is a step_item, ensure its parent is visible
       if (firstWrapper.type === 'step_item') {
@@ -147,7 +214,9 @@ class StepManager {
           parentWrapper.style.display = 'flex';
         }
       }
+      return firstWrapper.answer;
     }
+    return targetWrapper ? targetWrapper.answer : null;
   }
 }
 
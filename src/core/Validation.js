@@ -1,9 +1,322 @@
+import { parsePhone, isPossiblePhone, resolvePhoneCountry } from '../utils/phone.js';
+import { getLogger } from '../utils/logger.js';
+
+const DATE_INPUT_TYPES = ['date', 'datetime-local', 'month', 'week', 'time'];
+
+function compareRange(value, bound, field) {
+  if (DATE_INPUT_TYPES.includes(field.type)) {
+    // ISO date/time strings compare correctly as strings
+    return value < bound ? -1 : (value > bound ? 1 : 0);
+  }
+  return parseFloat(value) - parseFloat(bound);
+}
+
+function countChecked(field) {
+  const container = field.closest('[data-min-checked]');
+  const scope = container && container !== field ? container : (field.form || document);
+  const selector = container && container !== field
+    ? 'input[type="checkbox"]'
+    : `input[type="checkbox"][name="${field.name}"]`;
+  return Array.from(scope.querySelectorAll(selector)).filter(c => c.checked).length;
+}
+
+/**
+ * Built-in rules, checked in order after `required`. `param(field)` returns the rule's parameter
+ * when the field's attributes declare it (null when the rule does not apply); a rule listed in
+ * data-validate applies too, with its parameter read from data-validate-<rule>.
+ * @type {Object<string, {param:(field:HTMLElement)=>any, validate:(value:string, param:any, field:HTMLElement)=>boolean, message:string|((param:any, field:HTMLElement)=>string)}>}
+ */
+const DEFAULT_VALIDATION_RULES = {
+  email: {
+    param: field => field.type === 'email' || null,
+    validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: 'Please enter a valid email address'
+  },
+  url: {
+    param: field => field.type === 'url' || null,
+    validate: value => {
+      try {
+        const url = new URL(/^[a-z][a-z\d+.-]*:/i.test(value) ? value : `https://${value}`);
+        return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.');
+      } catch (e) {
+        return false;
+      }
+    },
+    message: 'Please enter a valid URL'
+  },
+  number: {
+    param: field => field.type === 'number' || null,
+    validate: value => value !== '' && !Number.isNaN(Number(value)),
+    message: 'Please enter a number'
+  },
+  min: {
+    param: field => field.getAttribute('min'),
+    validate: (value, min, field) => compareRange(value, min, field) >= 0,
+    message: (min, field) => DATE_INPUT_TYPES.includes(field.type) ? `Please enter a date on or after ${min}` : `Please enter a value of ${min} or more`
+  },
+  max: {
+    param: field => field.getAttribute('max'),
+    validate: (value, max, field) => compareRange(value, max, field) <= 0,
+    message: (max, field) => DATE_INPUT_TYPES.includes(field.type) ? `Please enter a date on or before ${max}` : `Please enter a value of ${max} or less`
+  },
+  pattern: {
+    param: field => field.getAttribute('pattern'),
+    validate: (value, pattern) => {
+      try {
+        return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+      } catch (e) {
+        return true;
+      }
+    },
+    message: 'Please match the requested format'
+  },
+  minlength: {
+    param: field => field.getAttribute('minlength') || field.getAttribute('data-minlength'),
+    validate: (value, min) => value.length >= parseInt(min, 10),
+    message: min => `Please enter at least ${min} characters`
+  },
+  maxlength: {
+    param: field => field.getAttribute('data-maxlength'),
+    validate: (value, max) => value.length <= parseInt(max, 10),
+    message: max => `Please enter no more than ${max} characters`
+  },
+  minChecked: {
+    param: field => {
+      if (field.type !== 'checkbox') return null;
+      const el = field.closest('[data-min-checked]');
+      return el ? el.getAttribute('data-min-checked') : null;
+    },
+    validate: (value, min, field) => countChecked(field) >= parseInt(min, 10),
+    message: min => `Please select at least ${min} option${parseInt(min, 10) > 1 ? 's' : ''}`
+  },
+  phone: {
+    param: field => field.hasAttribute('data-phone-format') || null,
+    validate: (value, param, field) => {
+      const { country, national } = parsePhone(field.dataset.rawValue || value, resolvePhoneCountry(field));
+      return isPossiblePhone(national, country);
+    },
+    message: 'Please enter a valid phone number'
+  }
+};
+
 class Validation {
   /**
    * @param {HTMLFormElement} formElement
+   * @param {import('./StepManager.js').default} [stepManager] used to resolve the selected branch
    */
-  constructor(formElement) {
+  constructor(formElement, stepManager = null) {
     this.form = formElement;
+    this.logger = getLogger(formElement, 'Validation');
+    this.stepManager = stepManager;
+    /** Rule registry; extend with registerRule() */
+    this.rules = Object.assign({}, DEFAULT_VALIDATION_RULES);
+
+    /** Async validators referenced by data-validate-async on fields / steps */
+    this.asyncValidators = {};
+    this.stepValidators = {};
+    /** @type {Map<HTMLElement, AbortController>} in-flight field requests */
+    this._pending = new Map();
+    /** @type {Map<HTMLElement, {value:string, result:true|string}>} last result per field */
+    this._asyncCache = new Map();
+    this._listeners = new AbortController();
+
+    // Editing a field again cancels its stale request and invalidates the cached result
+    const signal = this._listeners.signal;
+    this.form.addEventListener('input', (e) => this.cancelPending(/** @type {HTMLElement} */ (e.target)), { signal });
+    this.form.addEventListener('change', (e) => this.cancelPending(/** @type {HTMLElement} */ (e.target)), { signal });
+  }
+
+  /**
+   * Abort pending async validation and remove listeners and error messages.
+   */
+  destroy() {
+    this._listeners.abort();
+    this.cancelPending();
+    this.clearErrors(this.form);
+  }
+
+  /**
+   * Register (or replace) a validation rule. It applies to fields listing it in
+   * data-validate (e.g. data-validate="entityName"), or to fields matched by `param`.
+   * @param {string} name
+   * @param {{validate:(value:string, param:any, field:HTMLElement)=>boolean, message?:string|((param:any, field:HTMLElement)=>string), param?:(field:HTMLElement)=>any}} rule
+   */
+  registerRule(name, rule) {
+    if (!name || !rule || typeof rule.validate !== 'function') {
+      throw new Error('Validation.registerRule expects a name and a rule with a validate function');
+    }
+    this.rules[name] = Object.assign({ param: () => null, message: 'Please enter a valid value' }, rule);
+  }
+
+  /**
+   * Register an async field validator, used by fields with data-validate-async="<name>".
+   * The validator resolves true when valid, or false / an error message when not.
+   * @param {string} name
+   * @param {(value:string, field:HTMLElement, context:{signal:AbortSignal}) => Promise<boolean|string>} validator
+   */
+  registerAsyncValidator(name, validator) {
+    if (!name || typeof validator !== 'function') {
+      throw new Error('Validation.registerAsyncValidator expects a name and a function');
+    }
+    this.asyncValidators[name] = validator;
+  }
+
+  /**
+   * Register an async step validator, used by steps with data-validate-async="<name>".
+   * @param {string} name
+   * @param {(stepElement:HTMLElement, context:{signal:AbortSignal}) => Promise<boolean|string>} validator
+   */
+  registerStepValidator(name, validator) {
+    if (!name || typeof validator !== 'function') {
+      throw new Error('Validation.registerStepValidator expects a name and a function');
+    }
+    this.stepValidators[name] = validator;
+  }
+
+  /**
+   * Promise-based step validation: synchronous rules first, then every async validator
+   * declared on the step and its fields. Resolves false if any fails or is cancelled.
+   * @param {HTMLElement} stepElement
+   * @returns {Promise<boolean>}
+   */
+  async validateStepAsync(stepElement) {
+    if (!this.validateStep(stepElement)) return false;
+    if (!stepElement || stepElement.hasAttribute('data-form-no-input')) return true;
+
+    const fields = Array.from(stepElement.querySelectorAll('[data-validate-async]'))
+      .filter(el => el !== stepElement && !this.isHiddenByLogic(el) && !this._isInHiddenWrapper(el, stepElement));
+    const results = await Promise.all([
+      ...fields.map(field => this.validateFieldAsync(field)),
+      this._runStepValidators(stepElement)
+    ]);
+    return results.every(Boolean);
+  }
+
+  /**
+   * Run the async validators declared on a field. Results are cached per value, and a
+   * request still in flight when the field is edited again is aborted.
+   * @param {HTMLElement} fieldEl
+   * @returns {Promise<boolean>}
+   */
+  async validateFieldAsync(fieldEl) {
+    const names = (fieldEl.getAttribute('data-validate-async') || '').split(/[\s,]+/).filter(Boolean);
+    const value = (fieldEl.value || '').trim();
+    // Empty optional fields are left to the synchronous rules
+    if (!names.length || value === '') return true;
+
+    const cached = this._asyncCache.get(fieldEl);
+    if (cached && cached.value === value) {
+      if (cached.result !== true) this.showError(fieldEl, cached.result);
+      return cached.result === true;
+    }
+
+    this.cancelPending(fieldEl);
+    const controller = new AbortController();
+    this._pending.set(fieldEl, controller);
+    fieldEl.setAttribute('aria-busy', 'true');
+
+    try {
+      for (const name of names) {
+        const validator = this.asyncValidators[name];
+        if (!validator) {
+          this.logger.warn(`No async validator registered as "${name}"`);
+          continue;
+        }
+        const result = this._toResult(await validator(value, fieldEl, { signal: controller.signal }), fieldEl, name);
+        if (controller.signal.aborted) return false;
+        if (result !== true) {
+          this._asyncCache.set(fieldEl, { value, result });
+          this.showError(fieldEl, result);
+          return false;
+        }
+      }
+      this._asyncCache.set(fieldEl, { value, result: true });
+      return true;
+    } catch (e) {
+      if (!controller.signal.aborted) {
+        this.logger.warn('Async validator failed', e);
+        this.showError(fieldEl, this._getMessage(fieldEl, 'async', 'We could not verify this value. Please try again.'));
+      }
+      return false;
+    } finally {
+      if (this._pending.get(fieldEl) === controller) {
+        this._pending.delete(fieldEl);
+        fieldEl.removeAttribute('aria-busy');
+      }
+    }
+  }
+
+  /**
+   * Abort a field's in-flight async validation and forget its cached result, or a step's
+   * in-flight step validators. Without an element, does so for every field and step.
+   * @param {HTMLElement} [fieldEl]
+   */
+  cancelPending(fieldEl) {
+    if (!fieldEl) {
+      Array.from(this._pending.keys()).forEach(el => this.cancelPending(el));
+      this._asyncCache.clear();
+      return;
+    }
+    const controller = this._pending.get(fieldEl);
+    if (controller) {
+      controller.abort();
+      this._pending.delete(fieldEl);
+      fieldEl.removeAttribute('aria-busy');
+    }
+    this._asyncCache.delete(fieldEl);
+  }
+
+  /** Whether any async validation is still in flight. */
+  hasPending() {
+    return this._pending.size > 0;
+  }
+
+  /**
+   * Run the step's own async validators. A newer run for the same step, leaving the step
+   * (cancelPending(stepElement)) and destroy() abort the older one, whose result is ignored.
+   */
+  async _runStepValidators(stepElement) {
+    const names = (stepElement.getAttribute('data-validate-async') || '').split(/[\s,]+/).filter(Boolean);
+    if (!names.length) return true;
+
+    this.cancelPending(stepElement);
+    const controller = new AbortController();
+    this._pending.set(stepElement, controller);
+    try {
+      for (const name of names) {
+        const validator = this.stepValidators[name];
+        if (!validator) {
+          this.logger.warn(`No step validator registered as "${name}"`);
+          continue;
+        }
+        let result;
+        try {
+          result = this._toResult(await validator(stepElement, { signal: controller.signal }), stepElement, name);
+        } catch (e) {
+          if (controller.signal.aborted) return false;
+          this.logger.warn('Step validator failed', e);
+          result = this._getMessage(stepElement, 'async', 'We could not verify this step. Please try again.');
+        }
+        if (controller.signal.aborted) return false;
+        if (result !== true) {
+          const target = stepElement.querySelector('input, select, textarea');
+          if (target) this.showError(target, result);
+          return false;
+        }
+      }
+      return true;
+    } finally {
+      if (this._pending.get(stepElement) === controller) this._pending.delete(stepElement);
+    }
+  }
+
+  /**
+   * Normalise a validator result to true or an error message.
+   */
+  _toResult(result, element, name) {
+    if (result === true || result === undefined) return true;
+    if (typeof result === 'string') return result;
+    return this._getMessage(element, name, 'Please enter a valid value');
   }
 
   /**
@@ -18,46 +331,233 @@ class Validation {
       return true;
     }
     this.clearErrors(stepElement);
+    this.applySubtypeRequirements(stepElement);
 
     let valid = true;
-    const requiredFields = stepElement.querySelectorAll('[required]');
+    const checkedGroups = new Set();
+    stepElement.querySelectorAll('input, select, textarea').forEach(field => {
+      // Fields hidden by data-hide-if / data-show-if rules are not required
+      if (this.isHiddenByLogic(field)) return;
+      const required = field.hasAttribute('required');
+      // Optional fields are only checked when a rule applies and they are on screen
+      if (!required && (!this._hasRules(field) || this._isInHiddenWrapper(field, stepElement))) return;
+
+      // Validate radio groups and min-checked groups once
+      const groupKey = field.type === 'radio' || this.rules.minChecked.param(field) ? `${field.type}:${field.name}` : null;
+      if (groupKey) {
+        if (checkedGroups.has(groupKey)) return;
+        checkedGroups.add(groupKey);
+      }
 
-    requiredFields.forEach(field => {
       if (!this.validateField(field)) {
         valid = false;
       }
     });
+
+    if (!this.validateArrayGroups(stepElement)) {
+      valid = false;
+    }
+    return valid;
+  }
+
+  /**
+   * Check repeatable groups ([data-dynamic-group]) inside a step. Required fields of every
+   * instance are covered by validateStep; this enforces data-array-min filled instances.
+   * @param {HTMLElement} stepElement
+   * @returns {boolean}
+   */
+  validateArrayGroups(stepElement) {
+    let valid = true;
+    stepElement.querySelectorAll('[data-dynamic-group][data-array-min]').forEach(container => {
+      if (this.isHiddenByLogic(container) || container.offsetParent === null) return;
+      const min = parseInt(container.getAttribute('data-array-min'), 10) || 0;
+      const instances = Array.from(container.querySelectorAll('[data-array]'))
+        .filter(el => el.closest('[data-dynamic-group]') === container);
+      const filled = instances.filter(instance => Array.from(instance.querySelectorAll('input, select, textarea'))
+        .some(field => (field.type === 'checkbox' || field.type === 'radio') ? field.checked : field.value.trim() !== ''));
+
+      if (filled.length < min) {
+        valid = false;
+        const firstField = container.querySelector('input, select, textarea');
+        if (firstField) {
+          this.showError(firstField, `Please add at least ${min} ${container.getAttribute('data-dynamic-group')}${min > 1 ? 's' : ''}`);
+        }
+      }
+    });
     return valid;
   }
 
   /**
-   * Validate a single field.
+   * Resolve the member subtype (e.g. "individual", "entity", "trust") currently shown in a step.
+   * Prefers the data-step-subtype of the visible wrapper, then falls back to the selected
+   * data-go-to branch (e.g. "trust-2" -> "trust").
+   * @param {HTMLElement} stepElement
+   * @returns {string|null}
+   */
+  getActiveSubtype(stepElement) {
+    if (!stepElement) return null;
+    const known = this._getRequiredSubtypes(stepElement);
+    if (!known.length) return null;
+
+    const visibleWrappers = Array.from(stepElement.querySelectorAll('[data-answer]'))
+      .filter(el => el.style.display !== 'none');
+    // Deepest visible wrapper last (e.g. .step_item inside .step_wrapper)
+    for (let i = visibleWrappers.length - 1; i >= 0; i--) {
+      const subtypeEl = Array.from(visibleWrappers[i].querySelectorAll('[data-step-subtype]'))
+        .find(el => known.includes(el.getAttribute('data-step-subtype')));
+      if (subtypeEl) return subtypeEl.getAttribute('data-step-subtype');
+    }
+
+    const answer = this.stepManager ? this.stepManager.getAnswer(stepElement) : '';
+    if (answer) {
+      const branchSubtype = answer.replace(/-\d+$/, '');
+      if (known.includes(branchSubtype)) return branchSubtype;
+    }
+    return null;
+  }
+
+  /**
+   * Toggle `required` on fields with data-require-for-subtypes so only those matching the
+   * active subtype are enforced. Suspended fields are marked so they can be restored later.
+   * @param {HTMLElement} stepElement
+   */
+  applySubtypeRequirements(stepElement) {
+    const subtype = this.getActiveSubtype(stepElement);
+    if (!subtype) return;
+
+    stepElement.querySelectorAll('[data-require-for-subtypes]').forEach(field => {
+      const subtypes = this._parseSubtypeList(field.getAttribute('data-require-for-subtypes'));
+      if (subtypes.includes(subtype)) {
+        if (field.hasAttribute('data-required-suspended')) {
+          field.removeAttribute('data-required-suspended');
+          field.setAttribute('required', '');
+        }
+      } else if (field.hasAttribute('required')) {
+        field.removeAttribute('required');
+        field.setAttribute('data-required-suspended', '');
+        field.classList.remove('field-error');
+      }
+    });
+  }
+
+  _getRequiredSubtypes(stepElement) {
+    const subtypes = new Set();
+    stepElement.querySelectorAll('[data-require-for-subtypes]').forEach(field => {
+      this._parseSubtypeList(field.getAttribute('data-require-for-subtypes')).forEach(s => subtypes.add(s));
+    });
+    return Array.from(subtypes);
+  }
+
+  _parseSubtypeList(value) {
+    return (value || '').split(/[|,]/).map(s => s.trim()).filter(Boolean);
+  }
+
+  /**
+   * Whether a field sits inside an element hidden by ConditionalLogic.
+   * @param {HTMLElement} fieldEl
+   * @returns {boolean}
+   */
+  isHiddenByLogic(fieldEl) {
+    return fieldEl.closest('[data-logic-hidden]') !== null;
+  }
+
+  /**
+   * Validate a single field: `required` first, then every registered rule that applies.
+   * Error messages can be overridden per field with data-error-<rule> (e.g. data-error-email).
    * @param {HTMLElement} fieldEl Input/select/textarea element
    * @returns {boolean}
    */
   validateField(fieldEl) {
     if (!(fieldEl instanceof HTMLInputElement || fieldEl instanceof HTMLSelectElement || fieldEl instanceof HTMLTextAreaElement)) return true;
 
-    const type = fieldEl.type;
-    const name = fieldEl.name;
-    let isValid = true;
+    const empty = this._isEmpty(fieldEl);
+    const groupMinimum = this.rules.minChecked.param(fieldEl);
+
+    if (empty && fieldEl.hasAttribute('required') && !groupMinimum) {
+      this.showError(fieldEl, this._getMessage(fieldEl, 'required', 'This field is required'));
+      return false;
+    }
+    // Optional fields may stay empty; checkbox groups still need their minimum
+    if (empty && !groupMinimum) return true;
+
+    const value = fieldEl.type === 'checkbox' || fieldEl.type === 'radio' ? fieldEl.value : fieldEl.value.trim();
+    for (const [name, rule] of Object.entries(this.rules)) {
+      const param = this._getRuleParam(fieldEl, name, rule);
+      if (param === null || param === undefined || param === false) continue;
+      if (!rule.validate(value, param, fieldEl)) {
+        const fallback = typeof rule.message === 'function' ? rule.message(param, fieldEl) : rule.message;
+        this.showError(fieldEl, this._getMessage(fieldEl, name, fallback));
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Reject phone numbers whose length is impossible for the selected country.
+   * @param {HTMLInputElement} fieldEl
+   * @returns {boolean}
+   */
+  validatePhone(fieldEl) {
+    return this.rules.phone.validate(fieldEl.value.trim(), true, fieldEl);
+  }
 
-    if (type === 'radio') {
+  _isEmpty(fieldEl) {
+    if (fieldEl.type === 'radio') {
       // Radio group: at least one checked within this step
-      const group = fieldEl.closest('[data-form="step"]').querySelectorAll(`input[type="radio"][name="${name}"]`);
-      const checked = Array.from(group).some(r => r.checked);
-      isValid = checked;
-    } else if (type === 'checkbox') {
-      const checked = fieldEl.checked;
-      isValid = checked;
-    } else {
-      isValid = fieldEl.value.trim() !== '';
+      const scope = fieldEl.closest('[data-form="step"]') || this.form;
+      const group = scope.querySelectorAll(`input[type="radio"][name="${fieldEl.name}"]`);
+      return !Array.from(group).some(r => r.checked);
     }
+    if (fieldEl.type === 'checkbox') {
+      return !fieldEl.checked;
+    }
+    return fieldEl.value.trim() === '';
+  }
+
+  /**
+   * Parameter for a rule on a field, or null when the rule does not apply.
+   */
+  _getRuleParam(fieldEl, name, rule) {
+    const declared = this._getDeclaredRules(fieldEl);
+    if (declared.includes(name)) {
+      const attr = fieldEl.getAttribute(`data-validate-${this._toKebab(name)}`);
+      return attr !== null ? attr : (rule.param(fieldEl) || true);
+    }
+    return rule.param(fieldEl);
+  }
+
+  _getDeclaredRules(fieldEl) {
+    return (fieldEl.getAttribute('data-validate') || '').split(/[\s,]+/).filter(Boolean);
+  }
 
-    if (!isValid) {
-      this.showError(fieldEl, 'This field is required');
+  _hasRules(fieldEl) {
+    return Object.keys(this.rules).some(name => {
+      const param = this._getRuleParam(fieldEl, name, this.rules[name]);
+      return param !== null && param !== undefined && param !== false;
+    });
+  }
+
+  _getMessage(fieldEl, ruleName, fallback) {
+    return fieldEl.getAttribute(`data-error-${this._toKebab(ruleName)}`)
+      || fieldEl.getAttribute('data-error')
+      || fallback;
+  }
+
+  _toKebab(name) {
+    return name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+  }
+
+  /**
+   * Whether a field sits in a wrapper (e.g. an unselected .step_item) that is not displayed.
+   */
+  _isInHiddenWrapper(fieldEl, stepElement) {
+    let el = fieldEl.parentElement;
+    while (el && el !== stepElement) {
+      if (el.style && el.style.display === 'none') return true;
+      el = el.parentElement;
     }
-    return isValid;
+    return false;
   }
 
   /**
@@ -0,0 +1,262 @@
+import GooglePlacesProvider from './address/GooglePlacesProvider.js';
+import { getLogger } from '../utils/logger.js';
+
+/**
+ * @typedef {Object} AddressProvider
+ * @property {(query:string, opts?:{types?:string[]}) => Promise<Array<{id:string, description:string}>>} getSuggestions
+ * @property {(id:string) => Promise<{description:string, components:Array<{long_name:string, short_name:string, types:string[]}>}|null>} getDetails
+ */
+
+/** Components that default to their short name (e.g. "CA") unless data-use-full-name="true" */
+const SHORT_NAME_COMPONENTS = ['administrative_area_level_1'];
+
+class AddressAutocomplete {
+  /**
+   * Address lookup for inputs with data-populate-fields / data-google-places.
+   * Selecting a suggestion fills the [data-address-component] fields next to the input.
+   * @param {HTMLFormElement} formElement
+   * @param {AddressProvider|null} [provider] defaults to Google Places when loaded on the page
+   * @param {number} [debounceMs]
+   */
+  constructor(formElement, provider = null, debounceMs = 250) {
+    this.form = formElement;
+    this.logger = getLogger(formElement, 'AddressAutocomplete');
+    this.provider = provider || (GooglePlacesProvider.isAvailable() ? new GooglePlacesProvider() : null);
+    this.debounceMs = debounceMs;
+    this._timers = new Map();
+    this._requestIds = new Map();
+    /** @type {Map<HTMLInputElement, HTMLElement>} suggestion list of each attached input */
+    this._lists = new Map();
+    this._listeners = new AbortController();
+  }
+
+  /**
+   * Attach suggestion lists to address inputs.
+   */
+  init() {
+    if (!this.provider) return;
+    this.form.querySelectorAll('input[data-populate-fields="true"], input[data-google-places="true"]').forEach(input => {
+      this.attach(/** @type {HTMLInputElement} */ (input));
+    });
+  }
+
+  /**
+   * Swap the provider at runtime (e.g. once the Google script finishes loading).
+   * @param {AddressProvider} provider
+   */
+  setProvider(provider) {
+    const hadProvider = !!this.provider;
+    this.provider = provider;
+    if (!hadProvider) this.init();
+  }
+
+  /**
+   * Detach from all inputs: listeners, pending lookups and suggestion lists.
+   */
+  destroy() {
+    this._listeners.abort();
+    this._timers.forEach(timer => clearTimeout(timer));
+    this._timers.clear();
+    // responses still in flight no longer match a request id and are dropped
+    this._requestIds.clear();
+    this._lists.forEach((list, input) => {
+      list.remove();
+      delete input.dataset.addressAttached;
+    });
+    this._lists.clear();
+  }
+
+  /**
+   * @param {HTMLInputElement} input
+   */
+  attach(input) {
+    if (input.dataset.addressAttached) return;
+    input.dataset.addressAttached = 'true';
+    input.setAttribute('autocomplete', 'off');
+
+    const list = document.createElement('div');
+    list.className = 'address-suggestions';
+    list.setAttribute('role', 'listbox');
+    list.style.display = 'none';
+    input.after(list);
+    this._lists.set(input, list);
+
+    const signal = this._listeners.signal;
+    input.addEventListener('input', (e) => {
+      // Values written by a selection should not trigger a new lookup
+      if (e.isTrusted === false && input.dataset.addressFilling) return;
+      this._scheduleLookup(input, list);
+    }, { signal });
+    input.addEventListener('keydown', (e) => this._handleKeydown(e, input, list), { signal });
+    input.addEventListener('blur', () => {
+      // allow click on a suggestion to register first
+      setTimeout(() => this._closeList(list), 150);
+    }, { signal });
+  }
+
+  /**
+   * Apply a provider result to the fields around an input.
+   * @param {HTMLInputElement} input the input the suggestion was picked from
+   * @param {{description:string, components:Array<{long_name:string, short_name:string, types:string[]}>}} details
+   */
+  fill(input, details) {
+    if (!details) return;
+    const targets = input.dataset.populateFields === 'true'
+      ? Array.from(this._getScope(input).querySelectorAll('[data-address-component]'))
+      : [input];
+
+    targets.forEach(field => {
+      const value = this._getComponentValue(field, details.components);
+      if (value === null) return;
+      this._setFieldValue(field, value);
+    });
+
+    this.form.dispatchEvent(new CustomEvent('addressSelected', { detail: { input, details } }));
+  }
+
+  _scheduleLookup(input, list) {
+    clearTimeout(this._timers.get(input));
+    const query = input.value.trim();
+    if (query.length < 3) {
+      this._closeList(list);
+      return;
+    }
+    this._timers.set(input, setTimeout(() => this._lookup(input, list, query), this.debounceMs));
+  }
+
+  async _lookup(input, list, query) {
+    const requestId = (this._requestIds.get(input) || 0) + 1;
+    this._requestIds.set(input, requestId);
+
+    let suggestions = [];
+    try {
+      suggestions = await this.provider.getSuggestions(query, { types: this._getLookupTypes(input) });
+    } catch (e) {
+      this.logger.warn('Suggestion lookup failed', e);
+    }
+    // Ignore responses for queries the user has already typed past
+    if (this._requestIds.get(input) !== requestId) return;
+    this._renderList(input, list, suggestions);
+  }
+
+  _renderList(input, list, suggestions) {
+    list.innerHTML = '';
+    if (!suggestions.length) {
+      this._closeList(list);
+      return;
+    }
+    suggestions.forEach((suggestion, i) => {
+      const option = document.createElement('div');
+      option.className = 'address-suggestion';
+      option.setAttribute('role', 'option');
+      option.dataset.index = String(i);
+      option.textContent = suggestion.description;
+      option.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this._select(input, list, suggestion);
+      });
+      list.appendChild(option);
+    });
+    list._suggestions = suggestions;
+    list.style.display = '';
+  }
+
+  async _select(input, list, suggestion) {
+    this._closeList(list);
+    let details = null;
+    try {
+      details = await this.provider.getDetails(suggestion.id);
+    } catch (e) {
+      this.logger.warn('Details lookup failed', e);
+    }
+    // detached while the details were loading
+    if (this._lists.get(input) !== list) return;
+    this.fill(input, details);
+  }
+
+  _handleKeydown(e, input, list) {
+    if (list.style.display === 'none') return;
+    const options = Array.from(list.querySelectorAll('.address-suggestion'));
+    const activeIndex = options.findIndex(o => o.classList.contains('is-active'));
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const delta = e.key === 'ArrowDown' ? 1 : -1;
+      const next = (activeIndex + delta + options.length) % options.length;
+      options.forEach((o, i) => o.classList.toggle('is-active', i === next));
+    } else if (e.key === 'Enter' && activeIndex > -1) {
+      // keep Enter from advancing the step while picking a suggestion
+      e.preventDefault();
+      e.stopPropagation();
+      this._select(input, list, list._suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      this._closeList(list);
+    }
+  }
+
+  _closeList(list) {
+    list.style.display = 'none';
+    list.innerHTML = '';
+  }
+
+  /**
+   * Inputs that only fill themselves (e.g. a country field) restrict suggestions to their component.
+   */
+  _getLookupTypes(input) {
+    if (input.dataset.populateFields === 'true') return ['address'];
+    const components = this._parseComponents(input);
+    if (components.includes('country')) return ['country'];
+    if (components.some(c => c.startsWith('administrative_area') || c === 'locality')) return ['(regions)'];
+    return undefined;
+  }
+
+  /**
+   * The block sharing an address: member block, answer wrapper, or the whole step.
+   */
+  _getScope(input) {
+    return input.closest('[data-step-subtype]')
+      || input.closest('[data-answer]')
+      || input.closest('[data-form="step"]')
+      || this.form;
+  }
+
+  _parseComponents(field) {
+    return (field.getAttribute('data-address-component') || '')
+      .split(',')
+      .map(c => c.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Join the requested components (e.g. "street_number,route" -> "12 Main St").
+   * @returns {string|null} null when none of the components are present
+   */
+  _getComponentValue(field, components) {
+    const wanted = this._parseComponents(field);
+    const fullNameAttr = field.getAttribute('data-use-full-name');
+    const parts = wanted.map(type => {
+      const component = components.find(c => c.types.includes(type));
+      if (!component) return null;
+      const useFullName = fullNameAttr === null ? !SHORT_NAME_COMPONENTS.includes(type) : fullNameAttr === 'true';
+      return useFullName ? component.long_name : component.short_name;
+    }).filter(Boolean);
+    return parts.length ? parts.join(' ') : null;
+  }
+
+  _setFieldValue(field, value) {
+    if (field instanceof HTMLSelectElement) {
+      const option = Array.from(field.options).find(o => o.value === value || o.text === value);
+      if (!option) return;
+      field.value = option.value;
+    } else {
+      field.value = value;
+    }
+    // Memory autosaves from input/change events
+    field.dataset.addressFilling = 'true';
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+    delete field.dataset.addressFilling;
+  }
+}
+
+export default AddressAutocomplete;
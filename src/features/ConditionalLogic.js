@@ -1 +1,166 @@
-// This file is no longer used. The logic has been moved to FormManager.js 
\ No newline at end of file
+import { getLogger } from '../utils/logger.js';
+
+/**
+ * Supported comparison operators for data-hide-if / data-show-if clauses.
+ * Each receives the current field value and the (string) operand from the markup.
+ */
+const CONDITION_OPERATORS = {
+  equals: (value, operand) => toValueList(value).some(v => v === operand),
+  notequals: (value, operand) => !toValueList(value).some(v => v === operand),
+  contains: (value, operand) => toValueList(value).some(v => v.toLowerCase().includes(operand.toLowerCase())),
+  gt: (value, operand) => compareNumbers(value, operand, (a, b) => a > b),
+  lt: (value, operand) => compareNumbers(value, operand, (a, b) => a < b),
+  empty: (value) => toValueList(value).every(v => v === ''),
+  notempty: (value) => toValueList(value).some(v => v !== '')
+};
+
+function toValueList(value) {
+  if (Array.isArray(value)) return value.length ? value.map(v => String(v).trim()) : [''];
+  if (value === null || value === undefined) return [''];
+  return [String(value).trim()];
+}
+
+function compareNumbers(value, operand, compare) {
+  const a = parseFloat(Array.isArray(value) ? value[0] : value);
+  const b = parseFloat(operand);
+  if (Number.isNaN(a) || Number.isNaN(b)) return false;
+  return compare(a, b);
+}
+
+class ConditionalLogic {
+  /**
+   * @param {HTMLFormElement} formElement
+   * @param {import('./Memory.js').default} memory
+   */
+  constructor(formElement, memory) {
+    this.form = formElement;
+    this.logger = getLogger(formElement, 'ConditionalLogic');
+    this.memory = memory;
+    /** Inline display of each element before a rule hid it */
+    this._displayBefore = new WeakMap();
+    this._listeners = new AbortController();
+
+    this.attachListeners();
+  }
+
+  /**
+   * Re-evaluate rules whenever Memory records a change.
+   */
+  attachListeners() {
+    this.form.addEventListener('memoryChange', () => {
+      this.evaluate();
+    }, { signal: this._listeners.signal });
+  }
+
+  destroy() {
+    this._listeners.abort();
+  }
+
+  /**
+   * Parse a rule string into OR-groups of AND-clauses.
+   * Clauses are "field:operator:value", joined with ";" (AND) and "|" (OR).
+   * AND binds tighter than OR, so "a:equals:1;b:equals:2|c:empty" means (a AND b) OR c.
+   * @param {string} rule
+   * @returns {Array<Array<{field:string, operator:string, value:string}>>}
+   */
+  parseRule(rule) {
+    if (!rule) return [];
+    return rule.split('|').map(group => group.split(';')
+      .map(clause => clause.trim())
+      .filter(Boolean)
+      .map(clause => {
+        const [field, operator = 'notempty', ...rest] = clause.split(':');
+        return {
+          field: field.trim(),
+          operator: operator.trim().toLowerCase(),
+          value: rest.join(':').trim()
+        };
+      }))
+      .filter(group => group.length);
+  }
+
+  /**
+   * Evaluate a rule string against the current form values.
+   * @param {string} rule
+   * @returns {boolean}
+   */
+  matches(rule) {
+    const groups = this.parseRule(rule);
+    if (!groups.length) return false;
+    return groups.some(group => group.every(clause => this._evaluateClause(clause)));
+  }
+
+  /**
+   * Apply every data-hide-if / data-show-if rule inside the form.
+   */
+  evaluate() {
+    const elements = this.form.querySelectorAll('[data-hide-if], [data-show-if]');
+    elements.forEach(el => {
+      let hidden = false;
+      if (el.hasAttribute('data-hide-if') && this.matches(el.getAttribute('data-hide-if'))) {
+        hidden = true;
+      }
+      if (el.hasAttribute('data-show-if') && !this.matches(el.getAttribute('data-show-if'))) {
+        hidden = true;
+      }
+      this._setHidden(el, hidden);
+    });
+  }
+
+  _evaluateClause(clause) {
+    const operator = CONDITION_OPERATORS[clause.operator];
+    if (!operator) {
+      this.logger.warn(`Unknown operator "${clause.operator}" in clause for "${clause.field}"`);
+      return false;
+    }
+    return operator(this._getFieldValue(clause.field), clause.value);
+  }
+
+  /**
+   * Look up a field value from Memory, falling back to the live DOM for fields
+   * that have not been saved yet (e.g. a select's default option).
+   * @param {string} name
+   */
+  _getFieldValue(name) {
+    const values = this.memory ? this.memory.getAllValues() : {};
+    if (Object.prototype.hasOwnProperty.call(values, name)) {
+      return values[name];
+    }
+
+    const elements = Array.from(this.form.querySelectorAll(`[name="${name}"]`));
+    if (!elements.length) return '';
+    const first = elements[0];
+    if (first.type === 'checkbox') {
+      return elements.filter(el => el.checked).map(el => el.value);
+    }
+    if (first.type === 'radio') {
+      const checked = elements.find(el => el.checked);
+      return checked ? checked.value : '';
+    }
+    return first.value;
+  }
+
+  _setHidden(el, hidden) {
+    const wasHidden = el.hasAttribute('data-logic-hidden');
+    if (hidden === wasHidden) return;
+
+    if (hidden) {
+      el.setAttribute('data-logic-hidden', '');
+      el.setAttribute('aria-hidden', 'true');
+      this._displayBefore.set(el, el.style.display);
+      el.style.display = 'none';
+    } else {
+      el.removeAttribute('data-logic-hidden');
+      el.removeAttribute('aria-hidden');
+      // Steps and [data-answer] wrappers stay hidden: StepManager decides whether they show
+      if (el.style.display === 'none' && !el.matches('[data-form="step"], [data-answer]')) {
+        el.style.display = this._displayBefore.get(el) || '';
+      }
+      this._displayBefore.delete(el);
+    }
+
+    this.form.dispatchEvent(new CustomEvent('visibilityChange', { detail: { element: el, hidden } }));
+  }
+}
+
+export default ConditionalLogic;
@@ -0,0 +1,190 @@
+class ContactSame {
+  /**
+   * "Same as main contact" checkboxes ([data-contact-same="true"]). While checked, fields in the
+   * checkbox's block mirror the main contact's fields with the same data-step-field-name, are
+   * locked, and are stored in Memory as links (data-linked-to) instead of copied values.
+   * @param {HTMLFormElement} formElement
+   * @param {import('./Memory.js').default} memory
+   */
+  constructor(formElement, memory) {
+    this.form = formElement;
+    this.memory = memory;
+    this._listeners = new AbortController();
+  }
+
+  /**
+   * Attach listeners and re-apply links for checkboxes restored as checked.
+   */
+  init() {
+    this.source = this.form.querySelector('[data-contact-source]') || this.form.querySelector('[data-step-type="contact"]');
+    if (!this.source) return;
+
+    this.form.addEventListener('change', (e) => {
+      const target = /** @type {HTMLInputElement} */ (e.target);
+      if (target.matches && target.matches('input[data-contact-same="true"]')) {
+        if (target.checked) this.link(target);
+        else this.unlink(target);
+      }
+    }, { signal: this._listeners.signal });
+
+    // Keep mirrors live when the main contact changes
+    const onSourceEdit = (e) => {
+      const target = /** @type {HTMLElement} */ (e.target);
+      if (!this.source.contains(target) || !target.getAttribute('data-step-field-name')) return;
+      this._getCheckedBoxes().forEach(checkbox => this._syncField(checkbox, target.getAttribute('data-step-field-name')));
+    };
+    this.form.addEventListener('input', onSourceEdit, { signal: this._listeners.signal });
+    this.form.addEventListener('change', onSourceEdit, { signal: this._listeners.signal });
+
+    this._getCheckedBoxes().forEach(checkbox => this.link(checkbox));
+  }
+
+  /**
+   * Stop mirroring. Linked fields stay as they are, so init() on new markup re-links them.
+   */
+  destroy() {
+    this._listeners.abort();
+  }
+
+  /**
+   * Link or unlink every block to match its checkbox, e.g. after a draft loaded from
+   * asynchronous storage checked or unchecked them.
+   */
+  refresh() {
+    if (!this.source) return;
+    this.form.querySelectorAll('input[data-contact-same="true"]').forEach(checkbox => {
+      if (checkbox.checked) this.link(checkbox);
+      else this.unlink(checkbox);
+    });
+  }
+
+  /**
+   * Mirror and lock the checkbox's block.
+   * @param {HTMLInputElement} checkbox
+   */
+  link(checkbox) {
+    this._getMirrorPairs(checkbox).forEach(({ field, sourceField }) => {
+      if (!field.hasAttribute('data-linked-to')) {
+        // Remember the user's own value (from Memory after a reload) so unlinking can restore it
+        const entry = this.memory && this.memory.data.values ? this.memory.data.values[field.name] : null;
+        field.dataset.contactOwnValue = entry && entry.linkedTo ? (entry.ownValue || '') : field.value;
+      }
+      field.setAttribute('data-linked-to', sourceField.name);
+      field.setAttribute('data-contact-locked', '');
+      field.setAttribute('aria-readonly', 'true');
+      if (field instanceof HTMLSelectElement) this._lockSelect(field);
+      else if ('readOnly' in field) field.readOnly = true;
+      this._copyValue(sourceField, field);
+    });
+    this.form.dispatchEvent(new CustomEvent('contactSameChange', { detail: { checkbox, linked: true } }));
+  }
+
+  /**
+   * Unlock the block and restore the values the user had entered.
+   * @param {HTMLInputElement} checkbox
+   */
+  unlink(checkbox) {
+    this._getMirrorPairs(checkbox).forEach(({ field }) => {
+      if (!field.hasAttribute('data-linked-to')) return;
+      field.removeAttribute('data-linked-to');
+      field.removeAttribute('data-contact-locked');
+      field.removeAttribute('aria-readonly');
+      if (field instanceof HTMLSelectElement) this._unlockSelect(field);
+      else if ('readOnly' in field) field.readOnly = false;
+      field.value = field.dataset.contactOwnValue || '';
+      delete field.dataset.contactOwnValue;
+      delete field.dataset.rawValue;
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    this.form.dispatchEvent(new CustomEvent('contactSameChange', { detail: { checkbox, linked: false } }));
+  }
+
+  _getCheckedBoxes() {
+    return Array.from(this.form.querySelectorAll('input[data-contact-same="true"]'))
+      .filter(checkbox => /** @type {HTMLInputElement} */ (checkbox).checked);
+  }
+
+  _getBlock(checkbox) {
+    return checkbox.closest('[data-step-subtype]') || checkbox.closest('[data-answer]') || checkbox.closest('[data-form="step"]');
+  }
+
+  /**
+   * Fields in the checkbox's block paired with the main contact field of the same
+   * data-step-field-name. data-contact-fields="address,city" limits the pairing.
+   * @returns {Array<{field:HTMLInputElement, sourceField:HTMLInputElement}>}
+   */
+  _getMirrorPairs(checkbox) {
+    const block = this._getBlock(checkbox);
+    if (!block || block.contains(this.source) || this.source.contains(block)) return [];
+    const only = (checkbox.getAttribute('data-contact-fields') || '').split(',').map(s => s.trim()).filter(Boolean);
+
+    return Array.from(block.querySelectorAll('input[data-step-field-name], select[data-step-field-name], textarea[data-step-field-name]'))
+      .filter(field => field !== checkbox && field.name && field.type !== 'checkbox' && field.type !== 'radio')
+      .map(field => {
+        const key = field.getAttribute('data-step-field-name');
+        if (only.length && !only.includes(key)) return null;
+        const sourceField = this.source.querySelector(`[data-step-field-name="${key}"]`);
+        // Fields sharing the source's name already share its Memory entry
+        return sourceField && sourceField.name && sourceField.name !== field.name ? { field, sourceField } : null;
+      })
+      .filter(Boolean);
+  }
+
+  _syncField(checkbox, key) {
+    this._getMirrorPairs(checkbox)
+      .filter(({ field }) => field.getAttribute('data-step-field-name') === key && field.hasAttribute('data-linked-to'))
+      .forEach(({ field, sourceField }) => this._copyValue(sourceField, field));
+  }
+
+  /**
+   * Selects have no readOnly: disable the select and submit its value through a hidden
+   * input of the same name (disabled fields are not submitted).
+   * @param {HTMLSelectElement} select
+   */
+  _lockSelect(select) {
+    select.disabled = true;
+    if (this._getSelectMirror(select)) return;
+    const mirror = document.createElement('input');
+    mirror.type = 'hidden';
+    mirror.name = select.name;
+    mirror.value = select.value;
+    mirror.setAttribute('data-contact-mirror', '');
+    select.after(mirror);
+  }
+
+  /**
+   * @param {HTMLSelectElement} select
+   */
+  _unlockSelect(select) {
+    select.disabled = false;
+    const mirror = this._getSelectMirror(select);
+    if (mirror) mirror.remove();
+  }
+
+  /**
+   * @param {HTMLSelectElement} select
+   * @returns {HTMLInputElement|null}
+   */
+  _getSelectMirror(select) {
+    const next = select.nextElementSibling;
+    return next && next.hasAttribute('data-contact-mirror') && /** @type {HTMLInputElement} */ (next).name === select.name
+      ? /** @type {HTMLInputElement} */ (next)
+      : null;
+  }
+
+  _copyValue(sourceField, field) {
+    field.value = sourceField.value;
+    if (field instanceof HTMLSelectElement) {
+      const mirror = this._getSelectMirror(field);
+      if (mirror) mirror.value = field.value;
+    }
+    if (sourceField.dataset.rawValue !== undefined) {
+      field.dataset.rawValue = sourceField.dataset.rawValue;
+    }
+    // Memory records the data-linked-to link on change
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+}
+
+export default ContactSame;
@@ -0,0 +1,266 @@
+class MemberCollection {
+  /**
+   * Collects member/manager blocks (data-js="memberBlockTemplate", data-member-field) into
+   * structured objects and generates extra member branches on demand.
+   *
+   * A "slot" is one member number of one type: a detail step whose [data-answer] wrappers each
+   * hold a [data-step-subtype] block (individual-2, entity-2, trust-2), plus the choice step whose
+   * radios (data-go-to) pick between those wrappers.
+   *
+   * @param {HTMLFormElement} formElement
+   * @param {import('../core/StepManager.js').default} stepManager
+   * @param {import('./Repeater.js').default} [repeater]
+   */
+  constructor(formElement, stepManager, repeater = null) {
+    this.form = formElement;
+    this.stepManager = stepManager;
+    this.repeater = repeater;
+    /** @type {Array<{type:string, number:number, detailStep:HTMLElement, choiceStep:HTMLElement|null, answers:string[]}>} */
+    this.slots = [];
+  }
+
+  /**
+   * Index member slots from the current markup.
+   * @returns {Array} the discovered slots
+   */
+  discover() {
+    const slots = [];
+    this.stepManager.steps.forEach(step => {
+      const blocks = this._getBlocks(step.element);
+      if (!blocks.length) return;
+
+      const answers = Array.from(new Set(blocks
+        .map(block => block.closest('[data-answer]'))
+        .filter(Boolean)
+        .map(wrapper => wrapper.getAttribute('data-answer'))));
+      if (!answers.length) return;
+
+      const choiceRadio = answers
+        .map(answer => this.form.querySelector(`input[type="radio"][data-go-to="${answer}"]`))
+        .find(Boolean);
+
+      slots.push({
+        type: this._majority(blocks.map(block => block.getAttribute('data-step-type'))),
+        number: parseInt(blocks[0].getAttribute('data-step-number'), 10) || 0,
+        detailStep: step.element,
+        choiceStep: choiceRadio ? choiceRadio.closest('[data-form="step"]') : null,
+        answers
+      });
+    });
+
+    this.slots = slots;
+    return slots;
+  }
+
+  /**
+   * Highest member number of a type in the markup.
+   * @param {string} [type]
+   * @returns {number} 0 when there is no slot of that type
+   */
+  getLastNumber(type = 'member') {
+    if (!this.slots.length) this.discover();
+    return this.slots
+      .filter(slot => slot.type === type)
+      .reduce((max, slot) => Math.max(max, slot.number), 0);
+  }
+
+  /**
+   * Collected members of a type as structured objects, in slot order.
+   * Only slots whose subtype has been chosen are included.
+   * @param {string} [type]
+   * @returns {Array<{number:number, subtype:string} & Object<string, any>>}
+   */
+  getMembers(type = 'member') {
+    if (!this.slots.length) this.discover();
+
+    return this.slots
+      .filter(slot => slot.type === type)
+      .sort((a, b) => a.number - b.number)
+      .map(slot => {
+        const answer = this._getChosenAnswer(slot);
+        if (!answer) return null;
+        const wrapper = slot.detailStep.querySelector(`[data-answer="${answer}"]`);
+        const block = wrapper ? this._getBlocks(wrapper)[0] || wrapper.querySelector('[data-step-subtype]') : null;
+        if (!block) return null;
+        return {
+          number: slot.number,
+          subtype: block.getAttribute('data-step-subtype'),
+          ...this._collectFields(block)
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Generate the choice + detail steps for one more member of the given type by cloning
+   * the last slot of that type and re-wiring data-go-to / data-answer so the new slot sits
+   * between the previous slot and whatever followed it.
+   * @param {string} [type]
+   * @returns {number|null} the new member number, or null if no slot of that type exists
+   */
+  addMember(type = 'member') {
+    if (!this.slots.length) this.discover();
+    const last = this.slots
+      .filter(slot => slot.type === type && slot.choiceStep)
+      .sort((a, b) => a.number - b.number)
+      .pop();
+    if (!last) return null;
+
+    const number = last.number + 1;
+    const choiceWrapper = last.choiceStep.querySelector('[data-answer]');
+    const detailWrappers = last.answers.map(answer => last.detailStep.querySelector(`[data-answer="${answer}"]`));
+    const exitTarget = detailWrappers[0] ? detailWrappers[0].getAttribute('data-go-to') : null;
+    const entryAnswer = `${type}-slot-${number}`;
+
+    const choiceClone = /** @type {HTMLElement} */ (last.choiceStep.cloneNode(true));
+    const detailClone = /** @type {HTMLElement} */ (last.detailStep.cloneNode(true));
+    const subtypes = Array.from(new Set(this._getBlocks(last.detailStep).map(block => block.getAttribute('data-step-subtype'))));
+    [choiceClone, detailClone].forEach(clone => this._prepareClone(clone, [type, ...subtypes], last.number, number));
+
+    // Previous slot now continues into the new choice step
+    detailWrappers.forEach(wrapper => {
+      if (wrapper) wrapper.setAttribute('data-go-to', entryAnswer);
+    });
+    const detailOuter = last.detailStep.querySelector('.step_wrapper[data-go-to]');
+    if (detailOuter) detailOuter.setAttribute('data-go-to', entryAnswer);
+
+    // New choice step is entered via the new answer and leads to the new detail wrappers
+    const cloneChoiceWrapper = choiceClone.querySelector('[data-answer]');
+    if (cloneChoiceWrapper && choiceWrapper) {
+      cloneChoiceWrapper.setAttribute('data-answer', entryAnswer);
+      if (exitTarget) cloneChoiceWrapper.setAttribute('data-go-to', exitTarget);
+    }
+    // New detail wrappers continue to wherever the previous slot used to go
+    if (exitTarget) {
+      detailClone.querySelectorAll('[data-answer]').forEach(wrapper => wrapper.setAttribute('data-go-to', exitTarget));
+      const cloneOuter = detailClone.querySelector('.step_wrapper[data-go-to]');
+      if (cloneOuter) cloneOuter.setAttribute('data-go-to', exitTarget);
+    }
+
+    last.detailStep.after(choiceClone);
+    choiceClone.after(detailClone);
+
+    this.stepManager.discoverSteps();
+    if (this.repeater) this.repeater.discoverGroups();
+    this.discover();
+
+    this.form.dispatchEvent(new CustomEvent('memberAdded', { detail: { type, number } }));
+    return number;
+  }
+
+  /**
+   * Answer (data-go-to) of the checked choice radio for a slot, if any.
+   */
+  _getChosenAnswer(slot) {
+    const checked = slot.answers
+      .map(answer => this.form.querySelector(`input[type="radio"][data-go-to="${answer}"]:checked`))
+      .find(Boolean);
+    return checked ? checked.getAttribute('data-go-to') : null;
+  }
+
+  _getBlocks(root) {
+    return Array.from(root.querySelectorAll('[data-step-subtype][data-step-number]'))
+      .filter(block => block.closest('[data-js="memberBlockTemplate"]') || block.querySelector('[data-member-field]'));
+  }
+
+  /**
+   * Map data-member-field inputs to an object. Each repeatable group becomes a list keyed by
+   * the plural group name, with one object per instance keyed by its data-member-field inputs
+   * (e.g. trustees: [{name: 'A', email: 'a@x.org'}, {name: 'B', email: ''}]).
+   */
+  _collectFields(block) {
+    const result = this._readMemberFields(block, field => !field.closest('[data-dynamic-group]'));
+
+    block.querySelectorAll('[data-dynamic-group]').forEach(container => {
+      const key = `${container.getAttribute('data-dynamic-group')}s`;
+      const group = this.repeater && this.repeater.getGroup(container);
+      const instances = group
+        ? this.repeater.getInstances(group)
+        : Array.from(container.querySelectorAll('[data-array]'))
+          .filter(el => el.closest('[data-dynamic-group]') === container);
+      result[key] = instances.map(instance => this._readMemberFields(instance,
+        field => field.closest('[data-array]') === instance));
+    });
+    return result;
+  }
+
+  /**
+   * Values of the data-member-field inputs under root that pass the filter. Inputs that share
+   * a property become a list.
+   * @param {HTMLElement} root
+   * @param {(field:HTMLElement) => boolean} accept
+   * @returns {Object<string, any>}
+   */
+  _readMemberFields(root, accept) {
+    const result = {};
+    root.querySelectorAll('[data-member-field]').forEach(field => {
+      if (!accept(field)) return;
+      const key = field.getAttribute('data-member-field');
+      if (field.type === 'checkbox') {
+        result[key] = field.checked;
+      } else if (field.type === 'radio') {
+        if (field.checked) result[key] = field.value;
+      } else if (key in result) {
+        // several inputs share the property (e.g. three trusteeName inputs in one row)
+        result[key] = [].concat(result[key], field.value);
+      } else {
+        result[key] = field.value;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Renumber a cloned step from one member number to the next and clear its values.
+   * Numbers are only rewritten when they follow one of the prefixes (type or subtype names).
+   */
+  _prepareClone(clone, prefixes, from, to) {
+    const numbered = new RegExp(`((?:${prefixes.join('|')})[-_ ]?)${from}(?!\\d)`, 'gi');
+    const attrs = ['name', 'id', 'for', 'data-name', 'data-go-to', 'data-answer', 'data-step-number'];
+
+    [clone, ...clone.querySelectorAll('*')].forEach(el => {
+      attrs.forEach(attr => {
+        const value = el.getAttribute(attr);
+        if (!value) return;
+        if (attr === 'data-step-number') {
+          el.setAttribute(attr, String(to));
+        } else if (numbered.test(value)) {
+          el.setAttribute(attr, value.replace(numbered, (m, prefix) => `${prefix}${to}`));
+        } else if (attr === 'name' && el.type === 'radio') {
+          // Unnumbered radio groups would otherwise share one selection across slots
+          el.setAttribute(attr, `${value}-${to}`);
+        }
+        numbered.lastIndex = 0;
+      });
+      // Keep headings such as "Add Members 4" in step with the slot number
+      if (el.children.length === 0 && /^h[1-6]$/i.test(el.tagName)) {
+        el.textContent = el.textContent.replace(new RegExp(`\\b${from}\\b`), String(to));
+      }
+    });
+
+    clone.querySelectorAll('input, select, textarea').forEach(field => {
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        field.checked = false;
+      } else if (field.tagName.toLowerCase() === 'select') {
+        // Back to the markup's default option, not the previous member's choice
+        Array.from(field.options).forEach(option => { option.selected = option.defaultSelected; });
+        if (!field.multiple && field.selectedIndex < 0) field.selectedIndex = 0;
+      } else {
+        field.value = '';
+      }
+      field.classList.remove('field-error');
+    });
+    clone.querySelectorAll('.error-message').forEach(el => el.remove());
+    clone.querySelectorAll('[data-array-instance], .array-add-btn, .array-remove-btn').forEach(el => el.remove());
+    clone.querySelectorAll('[data-array-key]').forEach(el => el.removeAttribute('data-array-key'));
+    clone.style.display = 'none';
+  }
+
+  _majority(values) {
+    const counts = {};
+    values.filter(Boolean).forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || '';
+  }
+}
+
+export default MemberCollection;
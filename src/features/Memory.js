@@ -1,22 +1,57 @@
+import { getLogger } from '../utils/logger.js';
+import { hashString } from '../utils/hash.js';
+import WebStorageAdapter from './memory/WebStorageAdapter.js';
+import IndexedDBAdapter from './memory/IndexedDBAdapter.js';
+import InMemoryAdapter from './memory/InMemoryAdapter.js';
+import CookieAdapter from './memory/CookieAdapter.js';
+import RemoteAdapter from './memory/RemoteAdapter.js';
+
+/**
+ * Where Memory keeps drafts. Any method may return a Promise.
+ * @typedef {{load:(key:string) => object|null|Promise<object|null>, save:(key:string, data:object) => void|Promise<void>, clear:(key:string) => void|Promise<void>}} MemoryAdapter
+ */
+
+/** Drafts not saved for this long are discarded on load unless data-memory-ttl says otherwise */
+const DEFAULT_MEMORY_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/** Migration key for drafts saved before versions were stamped; without one they are kept as they are */
+const UNVERSIONED_DRAFT = 'unversioned';
+
 class Memory {
   /**
    * @param {HTMLFormElement} formElement
    * @param {import('../core/StepManager.js').default} stepManager
    * @param {number} debounceMs
+   * @param {{adapter?:MemoryAdapter|null, version?:string|null, ttl?:number|null, migrations?:Object<string, (data:object, versions:{from:string, to:string}) => object|null>|null}} [options]
+   *   adapter defaults to the form's data-memory choice; version to data-form-version or a
+   *   hash of the field names; ttl (ms) to data-memory-ttl; migrations convert drafts saved
+   *   by an older version, keyed by that version ('unversioned' for drafts without one)
    */
-  constructor(formElement, stepManager, debounceMs = 500) {
+  constructor(formElement, stepManager, debounceMs = 500, { adapter = null, version = null, ttl = null, migrations = null } = {}) {
     this.form = formElement;
+    this.logger = getLogger(formElement, 'Memory');
     this.stepManager = stepManager;
     this.debounceMs = debounceMs;
     this.storageKey = `form-memory-${formElement.id || 'default'}`;
+    this.adapter = adapter || this._createAdapter(formElement.getAttribute('data-memory') || 'local');
 
-    this.data = this._loadFromStorage();
+    // Drafts are stamped with the form's version; one saved for other markup is migrated or dropped
+    this.version = version || formElement.getAttribute('data-form-version') || this._getFieldsVersion();
+    this.ttl = ttl ?? this._parseTtl(formElement.getAttribute('data-memory-ttl'));
+    this.migrations = migrations || {};
+
+    this.data = { values: {}, lastUpdated: Date.now() };
     this._saveTimeout = null;
+    this._loaded = false;
+    /** Set while a cancelled change is written back, so Memory does not save it again */
+    this._reverting = false;
+    this._listeners = new AbortController();
 
     this.attachListeners();
 
-    // Restore saved values on init
-    this.restoreValues();
+    // Restore saved values on init; asynchronous adapters restore once loaded
+    /** Resolves when the saved draft has been restored */
+    this.ready = this._loadFromStorage();
   }
 
   /**
@@ -27,7 +62,7 @@ class Memory {
       const target = /** @type {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} */ (e.target);
       if (!target.name) return;
       this._saveFromElement(target);
-    });
+    }, { signal: this._listeners.signal });
 
     this.form.addEventListener('input', (e) => {
       const target = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (e.target);
@@ -36,26 +71,59 @@ class Memory {
       if (target.tagName.toLowerCase() === 'textarea' || target.type === 'text' || target.type === 'email' || target.type === 'number' || target.type === 'url' || target.type === 'tel') {
         this._saveFromElement(target);
       }
-    });
+    }, { signal: this._listeners.signal });
+  }
+
+  /**
+   * Stop autosaving. A save still waiting for its debounce is written immediately.
+   */
+  destroy() {
+    this._listeners.abort();
+    if (this._saveTimeout) {
+      clearTimeout(this._saveTimeout);
+      this._saveTimeout = null;
+      this._persistToStorage();
+    }
   }
 
   /**
    * Save a single field value with metadata.
+   * A changed value first dispatches a cancelable `fieldChange`; preventDefault() keeps
+   * the previous value stored and puts the form's fields back to it.
    * @param {string} name
    * @param {any} value
-   * @param {Partial<{stepIndex:number, fieldType:string, isVisible:boolean}>} meta
+   * @param {Partial<{stepIndex:number, fieldType:string, isVisible:boolean, linkedTo:string, ownValue:string}>} meta
+   * @returns {boolean} false if a listener cancelled the change
    */
   saveField(name, value, meta = {}) {
-    if (!name) return;
+    if (!name) return false;
     if (!this.data.values) this.data.values = {};
 
+    const previous = this.data.values[name];
+    const previousValue = previous ? this.getValue(name) : undefined;
+    const newValue = meta.linkedTo ? this.getValue(meta.linkedTo) : value;
+    if (JSON.stringify(previousValue) !== JSON.stringify(newValue)) {
+      const event = new CustomEvent('fieldChange', {
+        cancelable: true,
+        detail: { name, value: newValue, previousValue, stepIndex: meta.stepIndex ?? -1, fieldType: meta.fieldType, values: this.getAllValues() }
+      });
+      if (!this.form.dispatchEvent(event)) {
+        this._revertField(name);
+        return false;
+      }
+    }
+
     this.data.values[name] = {
       value,
       timestamp: Date.now(),
       ...meta
     };
 
+    // Let dependent features (e.g. ConditionalLogic) react to the new value
+    this.form.dispatchEvent(new CustomEvent('memoryChange', { detail: { name, value } }));
+
     this._debouncedPersist();
+    return true;
   }
 
   /** Save all current form field values */
@@ -76,24 +144,114 @@ class Memory {
   getAllValues() {
     const result = {};
     Object.keys(this.data.values || {}).forEach(key => {
-      result[key] = this.data.values[key].value;
+      result[key] = this.getValue(key);
     });
     return result;
   }
 
+  /**
+   * Get a single saved value, resolving linked fields (data-linked-to) to their source.
+   * @param {string} name
+   */
+  getValue(name) {
+    const entry = (this.data.values || {})[name];
+    if (!entry) return undefined;
+    if (entry.linkedTo) {
+      const source = this.data.values[entry.linkedTo];
+      return source ? source.value : '';
+    }
+    return entry.value;
+  }
+
+  /**
+   * Write a value into the form's fields and save it. The fields get bubbling input/change
+   * events, so formatting, conditional logic and mirrored fields update as if the user had
+   * typed it. Names with no field in the form are only saved.
+   * @param {string} name
+   * @param {any} value array of values for checkbox groups and multi-selects; `true`
+   *   checks a single checkbox
+   * @returns {boolean} false if a fieldChange listener cancelled the change; the fields are
+   *   then put back to the stored value
+   */
+  setValue(name, value) {
+    const elements = Array.from(this.form.querySelectorAll(`[name="${name}"]`))
+      .filter(el => el instanceof HTMLInputElement || el instanceof HTMLSelectElement || el instanceof HTMLTextAreaElement);
+    if (!elements.length) {
+      return this.saveField(name, value, { fieldType: Array.isArray(value) ? 'checkbox' : 'text' });
+    }
+
+    const list = (Array.isArray(value) ? value : [value]).map(v => String(v ?? ''));
+    const fieldType = this._getFieldType(elements[0]);
+    let target = elements[0];
+    if (fieldType === 'checkbox') {
+      elements.forEach(el => { el.checked = value === true || list.includes(el.value); });
+    } else if (fieldType === 'radio') {
+      elements.forEach(el => { el.checked = el.value === list[0]; });
+      target = elements.find(el => el.checked) || target;
+    } else if (fieldType === 'select' && elements[0].multiple) {
+      Array.from(elements[0].options).forEach(opt => { opt.selected = list.includes(opt.value); });
+    } else {
+      elements[0].value = list[0];
+    }
+
+    let allowed = true;
+    const onFieldChange = (e) => { if (e.detail.name === name && e.defaultPrevented) allowed = false; };
+    this.form.addEventListener('fieldChange', onFieldChange);
+    target.dispatchEvent(new Event('input', { bubbles: true }));
+    target.dispatchEvent(new Event('change', { bubbles: true }));
+    this.form.removeEventListener('fieldChange', onFieldChange);
+    return allowed;
+  }
+
+  /**
+   * Form state saved with the draft that is not a field value (e.g. generated member steps).
+   * @param {string} name
+   * @returns {any}
+   */
+  getMeta(name) {
+    return (this.data.meta || {})[name];
+  }
+
+  /**
+   * @param {string} name
+   * @param {any} value
+   */
+  setMeta(name, value) {
+    this.data.meta = { ...this.data.meta, [name]: value };
+    this._debouncedPersist();
+  }
+
+  /**
+   * Recompute the step index saved with each field after steps were inserted or removed.
+   */
+  updateStepIndexes() {
+    Object.keys(this.data.values || {}).forEach(name => {
+      const el = this.form.querySelector(`[name="${name}"]`);
+      if (el) this.data.values[name].stepIndex = this._getStepIndex(el);
+    });
+    this._debouncedPersist();
+  }
+
   /** Clear stored data */
   clear() {
-    localStorage.removeItem(this.storageKey);
+    // a pending debounced save would write the old values back
+    if (this._saveTimeout) clearTimeout(this._saveTimeout);
+    this._saveTimeout = null;
     this.data = { values: {}, lastUpdated: Date.now() };
+    this._loaded = true;
+    this._callAdapter('clear', 'Failed to clear saved data');
   }
 
   /**
-   * Restore values to the form from localStorage.
+   * Restore saved values to the form.
+   * @param {string[]} [names] only these fields
    */
-  restoreValues() {
+  restoreValues(names = null) {
     const entries = this.data.values || {};
-    Object.keys(entries).forEach(name => {
+    (names || Object.keys(entries)).forEach(name => {
       const saved = entries[name];
+      // Linked fields are re-applied by the feature that owns the link (e.g. ContactSame)
+      if (saved.linkedTo) return;
       const fieldType = saved.fieldType;
       const elements = this.form.querySelectorAll(`[name="${name}"]`);
       if (!elements.length) return;
@@ -155,12 +313,19 @@ class Memory {
   }
 
   _saveFromElement(el) {
-    if (!el || !el.name) return;
+    if (!el || !el.name || this._reverting) return;
     const name = el.name;
     const fieldType = this._getFieldType(el);
     const stepIndex = this._getStepIndex(el);
     const isVisible = this._isElementVisible(el);
 
+    // Mirrored fields store a link to their source instead of a copy of its value
+    const linkedTo = el.getAttribute('data-linked-to');
+    if (linkedTo) {
+      this.saveField(name, null, { stepIndex, fieldType, isVisible, linkedTo, ownValue: el.dataset.contactOwnValue || '' });
+      return;
+    }
+
     let value;
     if (fieldType === 'checkbox') {
       const groupEls = this.form.querySelectorAll(`input[type="checkbox"][name="${name}"]`);
@@ -182,25 +347,223 @@ class Memory {
         value = select.value;
       }
     } else {
-      // text, textarea
-      value = el.value;
+      // text, textarea; formatted inputs (e.g. phone) expose their raw value separately
+      value = el.dataset.rawValue !== undefined ? el.dataset.rawValue : el.value;
     }
 
     this.saveField(name, value, { stepIndex, fieldType, isVisible });
   }
 
+  /**
+   * Put a field whose change was cancelled back to its stored value (or its markup default
+   * when nothing is stored), then let the other features re-read it through bubbling
+   * input/change events that Memory itself ignores.
+   * @param {string} name
+   */
+  _revertField(name) {
+    const elements = Array.from(this.form.querySelectorAll(`[name="${name}"]`))
+      .filter(el => el instanceof HTMLInputElement || el instanceof HTMLSelectElement || el instanceof HTMLTextAreaElement);
+    if (!elements.length) return;
+
+    const saved = this.data.values[name];
+    this._reverting = true;
+    try {
+      if (saved) {
+        this.restoreValues([name]);
+      } else {
+        elements.forEach(el => {
+          if (el instanceof HTMLSelectElement) {
+            Array.from(el.options).forEach(opt => { opt.selected = opt.defaultSelected; });
+          } else if (el.type === 'checkbox' || el.type === 'radio') {
+            el.checked = el.defaultChecked;
+          } else {
+            el.value = el.defaultValue;
+          }
+        });
+      }
+      const target = elements.find(el => el.checked) || elements[0];
+      target.dispatchEvent(new Event('input', { bubbles: true }));
+      target.dispatchEvent(new Event('change', { bubbles: true }));
+    } finally {
+      this._reverting = false;
+    }
+  }
+
   // Internal helpers
+  /**
+   * Built-in adapter for a data-memory value: local (default), session, indexeddb, cookie,
+   * none or remote (with data-memory-endpoint and a per-user data-memory-draft).
+   * @param {string} type
+   * @returns {MemoryAdapter}
+   */
+  _createAdapter(type) {
+    switch (type) {
+      case 'local':
+      case 'session':
+        return new WebStorageAdapter(type);
+      case 'cookie':
+        return new CookieAdapter();
+      case 'none':
+        return new InMemoryAdapter();
+      case 'indexeddb':
+        if (IndexedDBAdapter.isSupported()) return new IndexedDBAdapter();
+        this.logger.warn('IndexedDB is not available; saving to localStorage.');
+        return new WebStorageAdapter('local');
+      case 'remote': {
+        const endpoint = this.form.getAttribute('data-memory-endpoint');
+        const draftId = this.form.getAttribute('data-memory-draft');
+        if (endpoint && draftId) return new RemoteAdapter({ endpoint, draftId });
+        // without a per-user id every visitor would share one remote draft
+        this.logger.warn('data-memory="remote" needs data-memory-endpoint and a per-user data-memory-draft; saving to localStorage.');
+        return new WebStorageAdapter('local');
+      }
+      default:
+        this.logger.warn(`Unknown data-memory "${type}"; saving to localStorage.`);
+        return new WebStorageAdapter('local');
+    }
+  }
+
+  /**
+   * Load the draft and restore it; synchronous adapters restore before this returns.
+   * @returns {Promise<void>}
+   */
   _loadFromStorage() {
+    let stored;
     try {
-      const raw = localStorage.getItem(this.storageKey);
-      if (raw) return JSON.parse(raw);
+      stored = this.adapter.load(this.storageKey);
     } catch (e) {
-      console.warn('Memory: failed to parse stored data', e);
+      this.logger.warn('Failed to parse stored data', e);
+      this._loaded = true;
+      return Promise.resolve();
+    }
+    if (!stored || typeof stored.then !== 'function') {
+      this._loaded = true;
+      this._applyStored(this._checkStored(stored));
+      return Promise.resolve();
+    }
+    return stored.then(data => {
+      // clear() while loading discards the draft
+      const apply = !this._loaded && !this._listeners.signal.aborted;
+      this._loaded = true;
+      if (apply) this._applyStored(this._checkStored(data));
+    }, e => {
+      this._loaded = true;
+      this.logger.warn('Failed to load stored data', e);
+    });
+  }
+
+  /**
+   * Enforce the TTL and the form version on a loaded draft. Expired drafts and drafts of
+   * another version without a migration are removed from storage; unversioned drafts are kept.
+   * @param {object|null} stored
+   * @returns {object|null} the draft to restore
+   */
+  _checkStored(stored) {
+    if (!stored || typeof stored !== 'object') return null;
+
+    if (this.ttl > 0 && Date.now() - (stored.lastUpdated || 0) > this.ttl) {
+      return this._discardStored(stored, 'expired');
+    }
+
+    // Drafts saved before versions were stamped are kept and stamped with the current version,
+    // unless an 'unversioned' migration converts them
+    let data = stored;
+    const tried = new Set();
+    while (data && data.version !== this.version) {
+      const from = data.version === undefined ? UNVERSIONED_DRAFT : data.version;
+      const migrate = this.migrations[from] || (from === UNVERSIONED_DRAFT ? (draft => draft) : null);
+      if (typeof migrate !== 'function' || tried.has(from)) {
+        return this._discardStored(stored, 'version');
+      }
+      tried.add(from);
+      try {
+        data = migrate(data, { from, to: this.version });
+      } catch (e) {
+        this.logger.warn(`Migrating the saved draft from version "${from}" failed`, e);
+        return this._discardStored(stored, 'version');
+      }
+      // a migration that does not name the version it produces migrates to the current one
+      if (data && (data.version === from || data.version === undefined)) data.version = this.version;
+      if (data) this.logger.debug(`Saved draft migrated from version "${from}" to "${data.version}"`);
+    }
+    return data || this._discardStored(stored, 'version');
+  }
+
+  /**
+   * @param {object} stored
+   * @param {'expired'|'version'} reason
+   * @returns {null}
+   */
+  _discardStored(stored, reason) {
+    this.logger.debug(`Discarding the saved draft (${reason})`);
+    this._callAdapter('clear', 'Failed to clear saved data');
+    this.form.dispatchEvent(new CustomEvent('memoryDiscarded', {
+      detail: { reason, version: stored.version, currentVersion: this.version, lastUpdated: stored.lastUpdated }
+    }));
+    return null;
+  }
+
+  /**
+   * Fingerprint of the form's field names, used when the form has no data-form-version.
+   * Renaming, adding or removing a field gives drafts a new version.
+   * @returns {string}
+   */
+  _getFieldsVersion() {
+    const names = new Set();
+    Array.from(this.form.elements).forEach(el => {
+      const name = /** @type {HTMLInputElement} */ (el).name;
+      if (name) names.add(name);
+    });
+    return `fields-${hashString(Array.from(names).sort().join('\n'))}`;
+  }
+
+  /**
+   * Read data-memory-ttl: a number with an optional unit (m, h or d; days when omitted).
+   * "0" keeps drafts forever.
+   * @param {string|null} value
+   * @returns {number} milliseconds
+   */
+  _parseTtl(value) {
+    if (value === null || value.trim() === '') return DEFAULT_MEMORY_TTL_MS;
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(m|h|d)?$/i);
+    if (!match) {
+      this.logger.warn(`Invalid data-memory-ttl "${value}"; drafts expire after 30 days.`);
+      return DEFAULT_MEMORY_TTL_MS;
+    }
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[(match[2] || 'd').toLowerCase()];
+    return parseFloat(match[1]) * unit;
+  }
+
+  /**
+   * Merge a loaded draft into memory and the form. Fields the user already changed while
+   * an asynchronous adapter was loading keep their new values.
+   * @param {object|null} stored
+   */
+  _applyStored(stored) {
+    if (!stored || typeof stored.values !== 'object' || stored.values === null) return;
+    const current = this.data.values || {};
+    const names = Object.keys(stored.values).filter(name => !(name in current));
+    if (!names.length) return;
+    this.data = { ...stored, values: { ...stored.values, ...current }, meta: { ...stored.meta, ...this.data.meta } };
+    this.restoreValues(names);
+    this.form.dispatchEvent(new CustomEvent('memoryRestored', { detail: { names, values: this.getAllValues() } }));
+  }
+
+  /**
+   * Call an adapter method that may be asynchronous, logging failures.
+   * @param {'save'|'clear'} method
+   * @param {string} failure
+   * @param {...any} args
+   */
+  _callAdapter(method, failure, ...args) {
+    try {
+      const result = this.adapter[method](this.storageKey, ...args);
+      if (result && typeof result.then === 'function') {
+        result.catch(e => this.logger.warn(failure, e));
+      }
+    } catch (e) {
+      this.logger.warn(failure, e);
     }
-    return {
-      values: {},
-      lastUpdated: Date.now()
-    };
   }
 
   _debouncedPersist() {
@@ -211,13 +574,15 @@ class Memory {
   }
 
   _persistToStorage() {
-    this.data.lastUpdated = Date.now();
-    try {
-      localStorage.setItem(this.storageKey, JSON.stringify(this.data));
-      console.log('Memory: data persisted', this.data);
-    } catch (e) {
-      console.warn('Memory: failed to save data', e);
+    // saving before the draft has loaded would overwrite it with a partial one
+    if (!this._loaded) {
+      this.ready.then(() => this._persistToStorage());
+      return;
     }
+    this.data.lastUpdated = Date.now();
+    this.data.version = this.version;
+    this._callAdapter('save', 'Failed to save data', this.data);
+    this.logger.debug('Data persisted', this.data);
   }
 }
 
@@ -0,0 +1,114 @@
+import { PHONE_COUNTRIES, getPhoneCountry, parsePhone, formatPhone, toE164, findCountryCodeSelect, resolvePhoneCountry } from '../utils/phone.js';
+
+class PhoneFormat {
+  /**
+   * As-you-type formatting for [data-phone-format] inputs. The formatted number is displayed
+   * while the E.164 value is exposed through data-raw-value (which Memory stores).
+   * @param {HTMLFormElement} formElement
+   * @param {import('./Memory.js').default} memory
+   */
+  constructor(formElement, memory) {
+    this.form = formElement;
+    this.memory = memory;
+    this._listeners = new AbortController();
+  }
+
+  /**
+   * Populate country selects and format existing values.
+   */
+  init() {
+    this.form.querySelectorAll('select[data-country-code]').forEach(select => this._populateCountries(select));
+
+    this.form.querySelectorAll('input[data-phone-format]').forEach(input => {
+      const signal = this._listeners.signal;
+      input.addEventListener('input', () => this.format(input, true), { signal });
+      const select = findCountryCodeSelect(input);
+      if (select) {
+        select.addEventListener('change', () => this.format(input, false), { signal });
+      }
+      this.format(input, false);
+    });
+  }
+
+  destroy() {
+    this._listeners.abort();
+  }
+
+  /**
+   * Reformat every phone input, e.g. after values were written into them programmatically.
+   */
+  refresh() {
+    this.form.querySelectorAll('input[data-phone-format]').forEach(input => this.format(input, false));
+  }
+
+  /**
+   * Reformat an input's value and update its raw E.164 value.
+   * @param {HTMLInputElement} input
+   * @param {boolean} keepCaret preserve the caret position relative to the digits typed
+   */
+  format(input, keepCaret) {
+    const previous = input.value;
+    const caret = keepCaret && typeof input.selectionStart === 'number' ? input.selectionStart : null;
+    const digitsBeforeCaret = caret === null ? 0 : previous.slice(0, caret).replace(/[^\d]/g, '').length;
+
+    const { country, national } = parsePhone(previous, resolvePhoneCountry(input));
+    this._syncCountrySelect(input, country);
+
+    const formatted = formatPhone(national, country);
+    input.dataset.rawValue = toE164(national, country);
+    if (formatted === previous) return;
+    input.value = formatted;
+
+    if (caret !== null) {
+      let position = 0;
+      let seen = 0;
+      while (position < formatted.length && seen < digitsBeforeCaret) {
+        if (/\d/.test(formatted[position])) seen++;
+        position++;
+      }
+      // a leading "+" or trunk digit may have been dropped, so never move past the end
+      input.setSelectionRange(Math.min(position, formatted.length), Math.min(position, formatted.length));
+    }
+  }
+
+  /**
+   * Fill a placeholder-only country select with the supported countries.
+   * @param {HTMLSelectElement} select
+   */
+  _populateCountries(select) {
+    const hasCountries = Array.from(select.options).some(opt => getPhoneCountry(opt.value));
+    if (hasCountries) return;
+
+    select.innerHTML = '';
+    PHONE_COUNTRIES.forEach(country => {
+      const option = document.createElement('option');
+      option.value = country.iso;
+      option.textContent = `${country.iso} (+${country.dial})`;
+      select.appendChild(option);
+    });
+
+    // Memory restored before the options existed
+    const saved = this.memory && this.memory.data.values ? this.memory.data.values[select.name] : null;
+    select.value = saved && getPhoneCountry(saved.value) ? getPhoneCountry(saved.value).iso : PHONE_COUNTRIES[0].iso;
+  }
+
+  /**
+   * Reflect a country detected from a "+<dial>" prefix in the paired select.
+   */
+  _syncCountrySelect(input, country) {
+    const select = findCountryCodeSelect(input);
+    if (!select || !country) return;
+    const current = getPhoneCountry(select.value);
+    if (current && current.dial === country.dial) return;
+    const option = Array.from(select.options).find(opt => {
+      const optionCountry = getPhoneCountry(opt.value);
+      return optionCountry && optionCountry.iso === country.iso;
+    });
+    if (option) {
+      select.value = option.value;
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }
+}
+
+export default PhoneFormat;
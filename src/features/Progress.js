@@ -0,0 +1,93 @@
+/** Text targets and the template each renders when its attribute is left empty */
+const PROGRESS_TARGETS = {
+  'data-progress-text': 'Step {current} of {total}',
+  'data-progress-current': '{current}',
+  'data-progress-total': '{total}',
+  'data-progress-percent': '{percent}%',
+  'data-progress-remaining': '{remaining}',
+  'data-progress-time': '{time}'
+};
+
+class Progress {
+  /**
+   * Path-aware progress: position along the steps visited so far plus the most likely
+   * remaining route through the FlowGraph, with a time estimate.
+   * @param {HTMLFormElement} formElement
+   * @param {import('../core/FlowGraph.js').default} flowGraph
+   * @param {{secondsPerStep?:number}} [options]
+   */
+  constructor(formElement, flowGraph, options = {}) {
+    this.form = formElement;
+    this.flowGraph = flowGraph;
+    this.secondsPerStep = options.secondsPerStep || 20;
+  }
+
+  /**
+   * @param {Array<{index:number, answer:string|null}>} history visited path, current step last
+   * @param {Object<string, string>} values checked radio values by name
+   * @returns {{current:number, total:number, percent:number, remaining:number, secondsRemaining:number, path:Array<{index:number, answer:string}>}}
+   */
+  compute(history, values = {}) {
+    const position = history[history.length - 1];
+    const path = position
+      ? this.flowGraph.getLikelyPath({ stepIndex: position.index, answer: position.answer || '', values })
+      : [];
+    const current = Math.max(history.length, 1);
+    const total = current + path.length;
+    return {
+      current,
+      total,
+      percent: Math.round((current / total) * 100),
+      remaining: path.length,
+      secondsRemaining: path.reduce((sum, node) => sum + this._getStepSeconds(node.index), 0),
+      path
+    };
+  }
+
+  /**
+   * Fill [data-progress-*] text targets and dispatch `progressChange`.
+   * A target's attribute value, when set, is used as its template, e.g.
+   * data-progress-text="Question {current} of about {total}".
+   * @param {ReturnType<Progress['compute']>} progress
+   */
+  render(progress) {
+    const values = {
+      current: progress.current,
+      total: progress.total,
+      percent: progress.percent,
+      remaining: progress.remaining,
+      minutes: Math.ceil(progress.secondsRemaining / 60),
+      time: Progress.formatDuration(progress.secondsRemaining)
+    };
+
+    Object.keys(PROGRESS_TARGETS).forEach(attr => {
+      this.form.querySelectorAll(`[${attr}]`).forEach(el => {
+        const template = el.getAttribute(attr) || PROGRESS_TARGETS[attr];
+        el.textContent = template.replace(/\{(\w+)\}/g, (m, key) => (key in values ? String(values[key]) : m));
+      });
+    });
+
+    this.form.dispatchEvent(new CustomEvent('progressChange', { detail: { ...progress } }));
+  }
+
+  /**
+   * @param {number} seconds
+   * @returns {string} e.g. "less than a minute", "3 min"
+   */
+  static formatDuration(seconds) {
+    if (seconds <= 0) return '0 min';
+    if (seconds < 60) return 'less than a minute';
+    return `${Math.ceil(seconds / 60)} min`;
+  }
+
+  /**
+   * Seconds a step is expected to take: data-step-seconds on the step, else the default.
+   */
+  _getStepSeconds(index) {
+    const step = this.flowGraph.stepManager.steps[index];
+    const seconds = step ? parseFloat(step.element.getAttribute('data-step-seconds')) : NaN;
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds : this.secondsPerStep;
+  }
+}
+
+export default Progress;
@@ -0,0 +1,350 @@
+class Repeater {
+  /**
+   * Repeatable field groups: a [data-dynamic-group] container holding a
+   * [data-array][data-template="true"] row that is cloned for each extra instance.
+   * @param {HTMLFormElement} formElement
+   * @param {import('./Memory.js').default} memory
+   */
+  constructor(formElement, memory) {
+    this.form = formElement;
+    this.memory = memory;
+    /** @type {Array<{key:string, name:string, container:HTMLElement, template:HTMLElement, min:number, max:number}>} */
+    this.groups = [];
+    this._listeners = new AbortController();
+    /** Add/remove buttons generated because the markup had none */
+    this._generatedControls = new Set();
+  }
+
+  /**
+   * Discover groups, wire up add/remove controls and restore saved instances.
+   */
+  init() {
+    this.discoverGroups();
+
+    // Keep the list in Memory in sync with edits inside instances
+    this.form.addEventListener('input', (e) => this._handleFieldEdit(e), { signal: this._listeners.signal });
+    this.form.addEventListener('change', (e) => this._handleFieldEdit(e), { signal: this._listeners.signal });
+  }
+
+  /**
+   * Remove listeners and generated controls. Instances stay in the form, so init() on the
+   * same markup picks them up again.
+   */
+  destroy() {
+    this._listeners.abort();
+    this._generatedControls.forEach(control => control.remove());
+    this._generatedControls.clear();
+    this.groups = [];
+  }
+
+  /**
+   * Register [data-dynamic-group] containers that are not tracked yet (e.g. after new
+   * markup was generated) and restore their saved instances.
+   * @returns {Array} newly registered groups
+   */
+  discoverGroups() {
+    const ordinals = {};
+    this.groups.forEach(group => {
+      ordinals[group.name] = (ordinals[group.name] || 0) + 1;
+    });
+
+    const added = Array.from(this.form.querySelectorAll('[data-dynamic-group]'))
+      .filter(container => !this.getGroup(container))
+      .map(container => {
+        const template = container.querySelector('[data-array][data-template="true"]');
+        if (!template) return null;
+        const name = container.getAttribute('data-dynamic-group');
+        ordinals[name] = (ordinals[name] || 0) + 1;
+        const group = {
+          key: container.getAttribute('data-array-name') || `${name}-group-${ordinals[name]}`,
+          name,
+          container,
+          template,
+          min: parseInt(container.getAttribute('data-array-min'), 10) || 1,
+          max: parseInt(container.getAttribute('data-array-max'), 10) || Infinity
+        };
+        container.setAttribute('data-array-key', group.key);
+        return group;
+      })
+      .filter(Boolean);
+
+    added.forEach(group => {
+      this.groups.push(group);
+      this._attachControls(group);
+      this._restore(group);
+      this._updateControls(group);
+    });
+    return added;
+  }
+
+  /**
+   * Re-apply the saved lists to the tracked groups, e.g. once a draft has loaded from
+   * asynchronous storage.
+   */
+  restore() {
+    this.groups.forEach(group => {
+      this._restore(group);
+      this._updateControls(group);
+    });
+  }
+
+  /**
+   * Get all instance rows of a group (template first).
+   * @param {{container:HTMLElement}} group
+   * @returns {HTMLElement[]}
+   */
+  getInstances(group) {
+    return Array.from(group.container.querySelectorAll('[data-array]'))
+      .filter(el => el.closest('[data-dynamic-group]') === group.container);
+  }
+
+  /**
+   * Find the group for a container element or key.
+   * @param {HTMLElement|string} containerOrKey
+   */
+  getGroup(containerOrKey) {
+    return this.groups.find(g => g.container === containerOrKey || g.key === containerOrKey) || null;
+  }
+
+  /**
+   * Clone the template and append a new instance.
+   * @param {object} group
+   * @returns {HTMLElement|null} the new instance
+   */
+  addInstance(group) {
+    const instances = this.getInstances(group);
+    if (instances.length >= group.max) return null;
+
+    const clone = /** @type {HTMLElement} */ (group.template.cloneNode(true));
+    clone.removeAttribute('data-template');
+    clone.removeAttribute('id');
+    clone.setAttribute('data-array-instance', '');
+    this._resetFields(clone);
+
+    const last = instances[instances.length - 1];
+    last.after(clone);
+    this._addRemoveControl(group, clone);
+    this._renumber(group);
+    this._updateControls(group);
+    this.save(group);
+
+    this.form.dispatchEvent(new CustomEvent('arrayChange', { detail: { key: group.key, action: 'add', count: instances.length + 1 } }));
+    return clone;
+  }
+
+  /**
+   * Remove an instance (the template row itself is never removed).
+   * @param {object} group
+   * @param {HTMLElement} instance
+   */
+  removeInstance(group, instance) {
+    const instances = this.getInstances(group);
+    if (instance === group.template || instances.length <= group.min) return;
+
+    instance.remove();
+    this._renumber(group);
+    this._updateControls(group);
+    this.save(group);
+
+    this.form.dispatchEvent(new CustomEvent('arrayChange', { detail: { key: group.key, action: 'remove', count: instances.length - 1 } }));
+  }
+
+  /**
+   * Collect the group's values as a list of objects, one per instance.
+   * @param {object} group
+   * @returns {Array<Object<string, any>>}
+   */
+  getValues(group) {
+    return this.getInstances(group).map(instance => {
+      const item = {};
+      this._getKeyedFields(instance).forEach(({ field, key }) => {
+        if (field.type === 'checkbox') {
+          if (!Array.isArray(item[key])) item[key] = [];
+          if (field.checked) item[key].push(field.value);
+        } else if (field.type === 'radio') {
+          if (field.checked) item[key] = field.value;
+          else if (!(key in item)) item[key] = '';
+        } else {
+          item[key] = field.value;
+        }
+      });
+      return item;
+    });
+  }
+
+  /**
+   * Persist the group's list in Memory under its key.
+   * @param {object} group
+   */
+  save(group) {
+    if (!this.memory) return;
+    const stepEl = group.container.closest('[data-form="step"]');
+    const stepObj = stepEl && this.memory.stepManager
+      ? this.memory.stepManager.steps.find(s => s.element === stepEl)
+      : null;
+    this.memory.saveField(group.key, this.getValues(group), {
+      stepIndex: stepObj ? stepObj.index : -1,
+      fieldType: 'array',
+      isVisible: group.container.offsetParent !== null
+    });
+  }
+
+  _handleFieldEdit(e) {
+    const target = /** @type {HTMLElement} */ (e.target);
+    const container = target.closest && target.closest('[data-dynamic-group]');
+    if (!container) return;
+    const group = this.getGroup(container);
+    if (group) this.save(group);
+  }
+
+  _restore(group) {
+    const saved = this.memory && this.memory.data.values ? this.memory.data.values[group.key] : null;
+    if (!saved || !Array.isArray(saved.value)) return;
+
+    while (this.getInstances(group).length < saved.value.length && this.addInstance(group)) {
+      // keep adding until the saved count is reached
+    }
+
+    const instances = this.getInstances(group);
+    saved.value.forEach((item, i) => {
+      if (!instances[i] || !item) return;
+      this._getKeyedFields(instances[i]).forEach(({ field, key }) => {
+        const value = item[key];
+        if (value === undefined) return;
+        if (field.type === 'checkbox') {
+          field.checked = Array.isArray(value) && value.includes(field.value);
+        } else if (field.type === 'radio') {
+          field.checked = field.value === value;
+        } else {
+          field.value = value;
+        }
+      });
+    });
+  }
+
+  _attachControls(group) {
+    // Designer-provided add control inside the group, or one targeting it by key
+    let addControl = group.container.querySelector('[data-array-add]')
+      || this.form.querySelector(`[data-array-add="${group.key}"]`);
+    if (!addControl) {
+      addControl = document.createElement('button');
+      addControl.type = 'button';
+      addControl.className = 'array-add-btn';
+      addControl.setAttribute('data-array-add', group.key);
+      addControl.textContent = group.container.getAttribute('data-array-add-label') || `Add another ${group.name}`;
+      group.container.appendChild(addControl);
+      this._generatedControls.add(addControl);
+    }
+    addControl.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.addInstance(group);
+    }, { signal: this._listeners.signal });
+    group.addControl = addControl;
+
+    this.getInstances(group).forEach(instance => {
+      if (instance !== group.template) this._addRemoveControl(group, instance);
+    });
+  }
+
+  _addRemoveControl(group, instance) {
+    let removeControl = instance.querySelector('[data-array-remove]');
+    if (!removeControl) {
+      removeControl = document.createElement('button');
+      removeControl.type = 'button';
+      removeControl.className = 'array-remove-btn';
+      removeControl.setAttribute('data-array-remove', '');
+      removeControl.textContent = 'Remove';
+      instance.appendChild(removeControl);
+      this._generatedControls.add(removeControl);
+    }
+    removeControl.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.removeInstance(group, instance);
+    }, { signal: this._listeners.signal });
+  }
+
+  _updateControls(group) {
+    const count = this.getInstances(group).length;
+    if (group.addControl) {
+      group.addControl.style.display = count >= group.max ? 'none' : '';
+    }
+    this.getInstances(group).forEach(instance => {
+      const removeControl = instance.querySelector('[data-array-remove]');
+      if (removeControl) removeControl.style.display = count <= group.min ? 'none' : '';
+    });
+  }
+
+  /**
+   * Rewrite numbered name/id attributes so instance N carries N (e.g. member-1-trustee-2-name).
+   */
+  _renumber(group) {
+    const pattern = new RegExp(`(${group.name}[-_ ]?)(\\d+)`, 'i');
+    const attrs = ['name', 'id', 'for', 'data-name', 'data-step-field-name', 'data-member-field-name'];
+
+    this.getInstances(group).forEach((instance, i) => {
+      const number = i + 1;
+      instance.setAttribute('data-array-index', String(number));
+      if (instance === group.template) return;
+
+      instance.querySelectorAll('*').forEach(el => {
+        attrs.forEach(attr => {
+          const original = el.getAttribute(`data-array-original-${attr}`) || el.getAttribute(attr);
+          if (!original) return;
+          if (!el.hasAttribute(`data-array-original-${attr}`)) {
+            el.setAttribute(`data-array-original-${attr}`, original);
+          }
+          let renamed;
+          if (pattern.test(original)) {
+            renamed = original.replace(pattern, (m, prefix) => `${prefix}${number}`);
+          } else if (/\d+$/.test(original)) {
+            renamed = original.replace(/\d+$/, String(number));
+          } else {
+            renamed = `${original}-${number}`;
+          }
+          el.setAttribute(attr, renamed);
+        });
+      });
+    });
+  }
+
+  _resetFields(instance) {
+    this._getFields(instance).forEach(field => {
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        field.checked = false;
+      } else {
+        field.value = '';
+      }
+      field.classList.remove('field-error');
+    });
+    instance.querySelectorAll('.error-message').forEach(el => el.remove());
+  }
+
+  _getFields(instance) {
+    return Array.from(instance.querySelectorAll('input, select, textarea'))
+      .filter(el => el.name);
+  }
+
+  /**
+   * Pair each field with its key in the instance object: data-member-field when it is
+   * unique within the instance, otherwise the field's un-numbered name.
+   */
+  _getKeyedFields(instance) {
+    const fields = this._getFields(instance);
+    const counts = {};
+    fields.forEach(field => {
+      const memberField = field.getAttribute('data-member-field');
+      if (memberField && field.type !== 'radio' && field.type !== 'checkbox') {
+        counts[memberField] = (counts[memberField] || 0) + 1;
+      }
+    });
+    return fields.map(field => {
+      const memberField = field.getAttribute('data-member-field');
+      const key = memberField && !(counts[memberField] > 1)
+        ? memberField
+        : (field.getAttribute('data-array-original-name') || field.name);
+      return { field, key };
+    });
+  }
+}
+
+export default Repeater;
@@ -0,0 +1,134 @@
+import { getLogger } from '../utils/logger.js';
+
+class Router {
+  /**
+   * Optional URL routing: mirrors the current step as a slug in the hash (#trust-1) or a
+   * query parameter (?step=trust-1) and turns browser Back/Forward into `routeRequest`
+   * events on the form, which FormManager honours only for steps on the user's route.
+   *
+   * A step's slug is data-step-slug on the displayed wrapper or the step, else the
+   * wrapper's data-answer, else "step-<n>".
+   *
+   * @param {HTMLFormElement} formElement
+   * @param {import('../core/StepManager.js').default} stepManager
+   * @param {{mode:'hash'|'query', param?:string}} options
+   */
+  constructor(formElement, stepManager, { mode, param = 'step' }) {
+    this.form = formElement;
+    this.logger = getLogger(formElement, 'Router');
+    this.stepManager = stepManager;
+    this.mode = mode === 'query' ? 'query' : 'hash';
+    this.param = param;
+    this._started = false;
+    this._onPopState = (e) => this._handlePopState(e);
+  }
+
+  init() {
+    window.addEventListener('popstate', this._onPopState);
+  }
+
+  /**
+   * Stop following Back/Forward. The URL is left as it is.
+   */
+  destroy() {
+    window.removeEventListener('popstate', this._onPopState);
+  }
+
+  /**
+   * Step addressed by the current URL, if any.
+   * @returns {{index:number, answer:string}|null}
+   */
+  read() {
+    const slug = this._readSlug();
+    return slug ? this.resolve(slug) : null;
+  }
+
+  /**
+   * Record a step in the URL. The first write and writes for the step already in the URL
+   * replace the history entry; others push a new one.
+   * @param {number} index
+   * @param {string|null} answer
+   * @param {{replace?:boolean}} [options]
+   */
+  write(index, answer, options = {}) {
+    const slug = this.slugFor(index, answer);
+    if (!slug) return;
+    const replace = options.replace || !this._started || this._readSlug() === slug;
+    this._started = true;
+
+    const url = new URL(window.location.href);
+    if (this.mode === 'query') {
+      url.searchParams.set(this.param, slug);
+    } else {
+      url.hash = slug;
+    }
+    const state = Object.assign({}, window.history.state, {
+      multiStepForm: { id: this._getFormKey(), index, answer: answer || '' }
+    });
+    window.history[replace ? 'replaceState' : 'pushState'](state, '', url.toString());
+  }
+
+  /**
+   * @param {number} index
+   * @param {string|null} answer
+   * @returns {string}
+   */
+  slugFor(index, answer) {
+    const step = this.stepManager.steps[index];
+    if (!step) return '';
+    const wrapper = answer ? step.wrappers.find(w => w.answer === answer) : null;
+    if (wrapper && wrapper.element.dataset.stepSlug) return wrapper.element.dataset.stepSlug;
+    if (step.element.dataset.stepSlug) return step.element.dataset.stepSlug;
+    return answer || `step-${index + 1}`;
+  }
+
+  /**
+   * Find the step (and wrapper answer) a slug refers to.
+   * @param {string} slug
+   * @returns {{index:number, answer:string}|null}
+   */
+  resolve(slug) {
+    for (const step of this.stepManager.steps) {
+      const wrapper = step.wrappers.find(w => w.element.dataset.stepSlug === slug)
+        || step.wrappers.find(w => w.answer === slug);
+      if (wrapper) return { index: step.index, answer: wrapper.answer || '' };
+      if (step.element.dataset.stepSlug === slug) return { index: step.index, answer: '' };
+    }
+    const numbered = /^step-(\d+)$/.exec(slug);
+    if (numbered && this.stepManager.steps[numbered[1] - 1]) {
+      return { index: numbered[1] - 1, answer: '' };
+    }
+    return null;
+  }
+
+  _handlePopState(e) {
+    const saved = e.state && e.state.multiStepForm;
+    let route = null;
+    if (saved && saved.id === this._getFormKey()) {
+      route = { index: saved.index, answer: saved.answer };
+    } else if (!saved) {
+      // hand-edited hash / query
+      route = this.read();
+    }
+    if (!route) return;
+    this.form.dispatchEvent(new CustomEvent('routeRequest', { detail: { stepIndex: route.index, answer: route.answer } }));
+  }
+
+  _readSlug() {
+    const url = new URL(window.location.href);
+    const slug = this.mode === 'query' ? url.searchParams.get(this.param) : url.hash.slice(1);
+    if (!slug) return '';
+    try {
+      return decodeURIComponent(slug);
+    } catch (e) {
+      this.logger.warn(`Ignoring the step in the URL: "${slug}" is not a valid encoded slug`);
+      return '';
+    }
+  }
+
+  _getFormKey() {
+    return this.form.id || this.form.getAttribute('name') || 'multistep';
+  }
+}
+
+export default Router;
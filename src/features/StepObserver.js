@@ -0,0 +1,62 @@
+/** Elements whose insertion or removal changes the step structure */
+const STEP_STRUCTURE_SELECTOR = '[data-form="step"], [data-answer]';
+
+class StepObserver {
+  /**
+   * Watches the form for steps and data-answer wrappers being added, removed or renamed
+   * (CMS collection lists, lazy embeds, other scripts) and calls back once per burst of
+   * changes. Style and content changes made by the form itself are ignored.
+   * @param {HTMLFormElement} formElement
+   * @param {() => void} onChange
+   * @param {number} [delay] ms to wait for further mutations before calling back
+   */
+  constructor(formElement, onChange, delay = 50) {
+    this.form = formElement;
+    this.onChange = onChange;
+    this.delay = delay;
+    this._timer = null;
+    this._observer = null;
+  }
+
+  start() {
+    if (this._observer || typeof MutationObserver === 'undefined') return;
+    this._observer = new MutationObserver(records => {
+      if (records.some(record => this._isStructural(record))) this._schedule();
+    });
+    this._observer.observe(this.form, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeOldValue: true,
+      attributeFilter: ['data-form', 'data-answer']
+    });
+  }
+
+  destroy() {
+    if (this._observer) this._observer.disconnect();
+    this._observer = null;
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.onChange();
+    }, this.delay);
+  }
+
+  _isStructural(record) {
+    if (record.type === 'attributes') {
+      return record.attributeName === 'data-answer'
+        || record.oldValue === 'step'
+        || record.target.getAttribute('data-form') === 'step';
+    }
+    return [...record.addedNodes, ...record.removedNodes].some(node =>
+      node.nodeType === 1 && (node.matches(STEP_STRUCTURE_SELECTOR) || node.querySelector(STEP_STRUCTURE_SELECTOR) !== null)
+    );
+  }
+}
+
+export default StepObserver;
@@ -0,0 +1,149 @@
+/** State classes applied to stepper items */
+const STEPPER_STATES = ['is-current', 'is-visited', 'is-invalid', 'is-locked'];
+
+class Stepper {
+  /**
+   * Clickable step indicator rendered into [data-form="stepper"].
+   *
+   * Items come from data-step-name on step elements, falling back to the data-step-type
+   * of the step's first typed block; steps without either belong to the item before them,
+   * and consecutive steps with the same label share one item. A [data-stepper-item]
+   * element inside the container is used as the item template.
+   *
+   * Clicking an item dispatches `stepperSelect` on the form; FormManager decides whether
+   * the jump is allowed.
+   *
+   * @param {HTMLFormElement} formElement
+   * @param {import('../core/StepManager.js').default} stepManager
+   * @param {HTMLElement} container
+   */
+  constructor(formElement, stepManager, container) {
+    this.form = formElement;
+    this.stepManager = stepManager;
+    this.container = container;
+    /** @type {Array<{label:string, steps:number[], element:HTMLElement}>} */
+    this.items = [];
+
+    this.template = container.querySelector('[data-stepper-item]');
+    this._templateParent = this.template ? this.template.parentElement : null;
+    this._templateNext = this.template ? this.template.nextSibling : null;
+    if (this.template) this.template.remove();
+    this._listeners = new AbortController();
+
+    this.container.addEventListener('click', (e) => {
+      const el = /** @type {HTMLElement} */ (e.target).closest('[data-stepper-index]');
+      if (!el || !this.container.contains(el)) return;
+      e.preventDefault();
+      if (el.classList.contains('is-locked')) return;
+      const stepIndex = parseInt(el.getAttribute('data-stepper-index'), 10);
+      this.form.dispatchEvent(new CustomEvent('stepperSelect', { detail: { stepIndex } }));
+    }, { signal: this._listeners.signal });
+  }
+
+  /**
+   * Remove the generated items and put the item template back.
+   */
+  destroy() {
+    this._listeners.abort();
+    this.items.forEach(item => item.element.remove());
+    this.items = [];
+    if (this.template && this._templateParent) {
+      this._templateParent.insertBefore(this.template, this._getTemplateNext());
+    }
+  }
+
+  /**
+   * (Re)build the items from the current steps.
+   */
+  build() {
+    this.items.forEach(item => item.element.remove());
+    this.items = [];
+
+    this.stepManager.steps.forEach(step => {
+      const label = this._getStepLabel(step.element);
+      const last = this.items[this.items.length - 1];
+      if (last && (!label || label === last.label)) {
+        last.steps.push(step.index);
+      } else {
+        this.items.push({ label: label || `Step ${step.index + 1}`, steps: [step.index], element: null });
+      }
+    });
+
+    // Items go where the template was, which may be a nested list inside the container
+    const parent = this._templateParent || this.container;
+    const next = this._templateParent ? this._getTemplateNext() : null;
+    this.items.forEach((item, i) => {
+      item.element = this._createItem(item, i);
+      parent.insertBefore(item.element, next);
+    });
+  }
+
+  /**
+   * Apply item states.
+   * @param {{currentStep:number, path:number[]}} state path: steps the user has reached
+   *   on the current route, i.e. the ones they may jump to
+   */
+  update({ currentStep, path }) {
+    this.items.forEach(item => {
+      const isCurrent = item.steps.includes(currentStep);
+      const target = item.steps.find(index => path.includes(index));
+      const isVisited = !isCurrent && target !== undefined;
+      const isInvalid = item.steps.some(index => this._hasErrors(index));
+      const isLocked = !isCurrent && target === undefined;
+
+      const el = item.element;
+      STEPPER_STATES.forEach(cls => el.classList.remove(cls));
+      if (isCurrent) el.classList.add('is-current');
+      if (isVisited) el.classList.add('is-visited');
+      if (isInvalid) el.classList.add('is-invalid');
+      if (isLocked) el.classList.add('is-locked');
+
+      // Jump to the first step of the item that is on the path
+      el.setAttribute('data-stepper-index', String(isCurrent ? currentStep : (target ?? item.steps[0])));
+      if (isCurrent) el.setAttribute('aria-current', 'step');
+      else el.removeAttribute('aria-current');
+      el.setAttribute('aria-disabled', isLocked ? 'true' : 'false');
+    });
+  }
+
+  _getStepLabel(stepElement) {
+    if (stepElement.dataset.stepName) return stepElement.dataset.stepName;
+    const typed = stepElement.getAttribute('data-step-type')
+      ? stepElement
+      : stepElement.querySelector('[data-step-type]');
+    const type = typed ? typed.getAttribute('data-step-type') : '';
+    return type ? type.charAt(0).toUpperCase() + type.slice(1) : '';
+  }
+
+  _createItem(item, i) {
+    let el;
+    if (this.template) {
+      el = /** @type {HTMLElement} */ (this.template.cloneNode(true));
+      el.removeAttribute('data-stepper-item');
+      const labelEl = el.querySelector('[data-stepper-label]');
+      const numberEl = el.querySelector('[data-stepper-number]');
+      if (labelEl) labelEl.textContent = item.label;
+      if (numberEl) numberEl.textContent = String(i + 1);
+      if (!labelEl && !numberEl) el.textContent = item.label;
+    } else {
+      el = document.createElement('button');
+      el.type = 'button';
+      el.className = 'stepper-item';
+      el.textContent = item.label;
+    }
+    return el;
+  }
+
+  /** The template's next sibling when it was removed, if it is still in place */
+  _getTemplateNext() {
+    const next = this._templateNext;
+    return next && next.parentNode === this._templateParent ? next : null;
+  }
+
+  _hasErrors(index) {
+    const step = this.stepManager.steps[index];
+    return !!step && step.element.querySelector('.field-error') !== null;
+  }
+}
+
+export default Stepper;
@@ -0,0 +1,320 @@
+import { getLogger } from '../utils/logger.js';
+
+/** Content types sent for each data-submit-format */
+const SUBMIT_FORMATS = {
+  json: 'application/json',
+  'form-data': null, // set by the browser, with the multipart boundary
+  urlencoded: 'application/x-www-form-urlencoded;charset=UTF-8'
+};
+
+/**
+ * Idempotency key sent with a submission, so an endpoint can ignore a repeated delivery.
+ * @returns {string}
+ */
+function createSubmissionKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+class Submission {
+  /**
+   * Sends the answers on the user's route to an endpoint and shows the outcome.
+   *
+   * Settings come from attributes on the form, overridden by the `submission` option:
+   * data-submit-endpoint (else the form's action), data-submit-format, data-submit-method,
+   * data-submit-timeout, data-submit-retries, data-submit-queue, data-redirect (or
+   * Webflow's redirect) and data-redirect-delay. Without an endpoint the form is handed back to Webflow's own
+   * submit handling once it validates.
+   *
+   * @param {HTMLFormElement} formElement
+   * @param {import('../core/StepManager.js').default} stepManager
+   * @param {import('./Memory.js').default} memory
+   * @param {(field:HTMLElement) => boolean} isHidden fields hidden by conditional logic
+   * @param {{endpoint?:string, format?:'json'|'form-data'|'urlencoded', method?:string, headers?:Object<string, string>, timeout?:number, retries?:number, retryDelay?:number, queue?:boolean, redirect?:string, redirectDelay?:number}} [options]
+   */
+  constructor(formElement, stepManager, memory, isHidden, options = {}) {
+    this.form = formElement;
+    this.logger = getLogger(formElement, 'Submission');
+    this.stepManager = stepManager;
+    this.memory = memory;
+    this.isHidden = isHidden;
+
+    const attr = (name) => formElement.getAttribute(name);
+    const number = (value, fallback) => {
+      const parsed = parseInt(value, 10);
+      return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+    };
+    this.config = Object.assign({
+      endpoint: attr('data-submit-endpoint') || attr('action') || '',
+      format: attr('data-submit-format') || 'json',
+      method: attr('data-submit-method') || 'POST',
+      headers: {},
+      timeout: number(attr('data-submit-timeout'), 15000),
+      retries: number(attr('data-submit-retries'), 2),
+      retryDelay: 1000,
+      // keep submissions that fail on network errors for later (SubmissionQueue)
+      queue: attr('data-submit-queue') !== 'false',
+      redirect: attr('data-redirect') || attr('redirect') || '',
+      redirectDelay: number(attr('data-redirect-delay'), 0)
+    }, options);
+    if (!(this.config.format in SUBMIT_FORMATS)) {
+      this.logger.warn(`Unknown data-submit-format "${this.config.format}"; sending JSON.`);
+      this.config.format = 'json';
+    }
+
+    this._redirectTimer = null;
+    /** One per request in flight: a user submit and a queued resend can run side by side */
+    this._controllers = new Set();
+    this._destroyed = false;
+  }
+
+  /**
+   * Field values on the route: fields in steps the user did not pass through, in wrappers
+   * those steps did not display, or hidden by conditional logic are left out.
+   * @param {Array<{index:number, answer:string|null}>} path
+   * @returns {Object<string, any>}
+   */
+  collect(path) {
+    const shown = new Map(path.map(entry => [entry.index, entry.answer || '']));
+    const values = {};
+    const isOnPath = (el) => {
+      const stepEl = el.closest('[data-form="step"]');
+      if (!stepEl) return true;
+      const step = this.stepManager.steps.find(s => s.element === stepEl);
+      if (!step || !shown.has(step.index)) return false;
+      const wrapper = el.closest('[data-answer]');
+      return !wrapper || !stepEl.contains(wrapper) || !shown.get(step.index) || wrapper.getAttribute('data-answer') === shown.get(step.index);
+    };
+
+    Array.from(this.form.elements).forEach(el => {
+      const field = /** @type {HTMLInputElement} */ (el);
+      if (!field.name || field.disabled || ['submit', 'button', 'reset', 'file'].includes(field.type)) return;
+      // repeatable rows are sent as their group's list below
+      if (field.closest('[data-dynamic-group]') || !isOnPath(field) || this.isHidden(field)) return;
+
+      if (field.type === 'checkbox') {
+        if (!Array.isArray(values[field.name])) values[field.name] = [];
+        if (field.checked) values[field.name].push(field.value);
+      } else if (field.type === 'radio') {
+        if (field.checked) values[field.name] = field.value;
+        else if (!(field.name in values)) values[field.name] = '';
+      } else if (field instanceof HTMLSelectElement && field.multiple) {
+        values[field.name] = Array.from(field.selectedOptions).map(opt => opt.value);
+      } else {
+        values[field.name] = field.dataset.rawValue !== undefined ? field.dataset.rawValue : field.value;
+      }
+    });
+
+    // Repeatable groups and values saved without a field (e.g. through setValues())
+    const saved = this.memory.data.values || {};
+    Object.keys(saved).forEach(name => {
+      if (name in values) return;
+      if (saved[name].fieldType === 'array') {
+        const container = this.form.querySelector(`[data-array-key="${name}"]`);
+        if (container && !isOnPath(container)) return;
+      } else if (this.form.querySelector(`[name="${name}"]`)) {
+        return;
+      }
+      values[name] = this.memory.getValue(name);
+    });
+    return values;
+  }
+
+  /**
+   * @param {Object<string, any>} values
+   * @param {string} [format]
+   * @returns {{body:string|FormData, contentType:string|null}}
+   */
+  serialize(values, format = this.config.format) {
+    if (format === 'json') {
+      return { body: JSON.stringify(values), contentType: SUBMIT_FORMATS.json };
+    }
+    const pairs = [];
+    Object.keys(values).forEach(name => {
+      const value = values[name];
+      if (Array.isArray(value) && value.some(v => v && typeof v === 'object')) {
+        pairs.push([name, JSON.stringify(value)]);
+      } else if (Array.isArray(value)) {
+        value.forEach(v => pairs.push([name, String(v)]));
+      } else {
+        pairs.push([name, value === null || value === undefined ? '' : String(value)]);
+      }
+    });
+    if (format === 'form-data') {
+      const data = new FormData();
+      pairs.forEach(([name, value]) => data.append(name, value));
+      return { body: data, contentType: SUBMIT_FORMATS['form-data'] };
+    }
+    return { body: new URLSearchParams(pairs).toString(), contentType: SUBMIT_FORMATS.urlencoded };
+  }
+
+  /**
+   * Send the values, retrying network failures, timeouts, 429 and 5xx responses.
+   * @param {Object<string, any>} values
+   * @param {string} [key] Idempotency-Key header; a queued submission is resent with its own
+   * @param {{endpoint:string, method:string, format:string, headers:Object<string, string>}} [request]
+   *   where and how to send; defaults to the form's settings
+   * @returns {Promise<{ok:boolean, status:number, data:any, error?:string, retryable:boolean, attempts:number, key:string}>}
+   */
+  async send(values, key = createSubmissionKey(), request = this.getRequest()) {
+    const { body, contentType } = this.serialize(values, request.format);
+    const headers = Object.assign({ Accept: 'application/json', 'Idempotency-Key': key }, request.headers);
+    if (contentType) headers['Content-Type'] = contentType;
+
+    let result = null;
+    for (let attempt = 1; attempt <= this.config.retries + 1; attempt++) {
+      result = await this._request(request, body, headers);
+      result.attempts = attempt;
+      if (result.ok || !result.retryable || attempt > this.config.retries) break;
+      this.logger.warn(`Submission attempt ${attempt} failed (${result.error}); retrying.`);
+      await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * attempt));
+    }
+    result.key = key;
+    return result;
+  }
+
+  /**
+   * The request settings, as stored with a queued submission.
+   * @returns {{endpoint:string, method:string, format:string, headers:Object<string, string>}}
+   */
+  getRequest() {
+    const { endpoint, method, format, headers } = this.config;
+    return { endpoint, method, format, headers: { ...headers } };
+  }
+
+  /**
+   * Toggle the submit buttons' data-wait text (as Webflow does) while sending.
+   * @param {boolean} waiting
+   */
+  setWaiting(waiting) {
+    this.form.querySelectorAll('[type="submit"], [data-form="submit"]').forEach(button => {
+      const wait = button.getAttribute('data-wait');
+      const isInput = button instanceof HTMLInputElement;
+      if (waiting) {
+        if (wait) {
+          button.dataset.submitLabel = isInput ? button.value : button.textContent;
+          if (isInput) button.value = wait;
+          else button.textContent = wait;
+        }
+        button.setAttribute('aria-disabled', 'true');
+        button.classList.add('is-pending');
+      } else {
+        if (button.dataset.submitLabel !== undefined) {
+          if (isInput) button.value = button.dataset.submitLabel;
+          else button.textContent = button.dataset.submitLabel;
+          delete button.dataset.submitLabel;
+        }
+        button.removeAttribute('aria-disabled');
+        button.classList.remove('is-pending');
+      }
+    });
+  }
+
+  /**
+   * Success state: the [data-success-card] element (the form's data-success-card value picks
+   * one by name) replaces the steps; otherwise Webflow's .w-form-done replaces the form.
+   * Then redirects if configured.
+   * @param {{redirect?:boolean}} [options] `redirect: false` stays on the page (e.g. offline)
+   */
+  showSuccess({ redirect = true } = {}) {
+    const { done, fail } = this._getMessages();
+    if (fail) fail.style.display = 'none';
+
+    const card = this._getSuccessCard();
+    if (card) {
+      this.stepManager.hideAllSteps();
+      this.form.querySelectorAll('[data-form="next-btn"], [data-form="back-btn"], [data-form="submit"]').forEach(el => {
+        el.style.display = 'none';
+      });
+      card.style.display = 'block';
+    } else if (done) {
+      this.form.style.display = 'none';
+      done.style.display = 'block';
+    }
+
+    if (redirect && this.config.redirect) {
+      this._redirectTimer = setTimeout(() => {
+        window.location.href = this.config.redirect;
+      }, this.config.redirectDelay);
+    }
+  }
+
+  /** Failure state: show Webflow's .w-form-fail and keep the form. */
+  showFailure() {
+    const { fail } = this._getMessages();
+    if (fail) fail.style.display = 'block';
+  }
+
+  /** Abort every request in flight (and the retries still to come) and cancel a pending redirect. */
+  destroy() {
+    this._destroyed = true;
+    this._controllers.forEach(controller => controller.abort());
+    this._controllers.clear();
+    clearTimeout(this._redirectTimer);
+    this._redirectTimer = null;
+  }
+
+  async _request(request, body, headers) {
+    const controller = new AbortController();
+    this._controllers.add(controller);
+    // a retry that was waiting when the form was destroyed
+    if (this._destroyed) controller.abort();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.config.timeout);
+
+    try {
+      const response = await fetch(request.endpoint, {
+        method: request.method.toUpperCase(),
+        headers,
+        body,
+        signal: controller.signal
+      });
+      const text = await response.text();
+      let data = text;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (e) {
+        // not JSON; keep the text
+      }
+      return {
+        ok: response.ok,
+        status: response.status,
+        data,
+        error: response.ok ? undefined : `HTTP ${response.status}`,
+        retryable: response.status === 429 || response.status >= 500
+      };
+    } catch (e) {
+      return {
+        ok: false,
+        status: 0,
+        data: null,
+        error: timedOut ? 'timeout' : (e && e.name === 'AbortError' ? 'aborted' : 'network'),
+        retryable: timedOut || !(e && e.name === 'AbortError')
+      };
+    } finally {
+      clearTimeout(timer);
+      this._controllers.delete(controller);
+    }
+  }
+
+  /** Webflow's success/failure messages sit next to the form inside .w-form */
+  _getMessages() {
+    const scope = this.form.parentElement || this.form;
+    return {
+      done: scope.querySelector('.w-form-done'),
+      fail: scope.querySelector('.w-form-fail')
+    };
+  }
+
+  _getSuccessCard() {
+    const name = this.form.getAttribute('data-success-card');
+    const scope = this.form.parentElement || this.form;
+    const selector = name ? `[data-success-card="${name}"]` : '[data-success-card]';
+    return Array.from(scope.querySelectorAll(selector)).find(el => el !== this.form) || null;
+  }
+}
+
+export default Submission;
@@ -0,0 +1,190 @@
+import { getLogger } from '../utils/logger.js';
+
+const QUEUE_DB_NAME = 'multi-step-forms';
+const QUEUE_STORE = 'submissions';
+/** Wait before resending a queued submission: doubles per attempt up to the cap */
+const QUEUE_RETRY_BASE_MS = 5000;
+const QUEUE_RETRY_MAX_MS = 5 * 60 * 1000;
+
+class SubmissionQueue {
+  /**
+   * Keeps submissions that failed on network errors in IndexedDB and sends them again when
+   * the browser comes back online and on the next page load that has the form. Each entry
+   * is resent with its original Idempotency-Key, so the endpoint can drop duplicates.
+   * Request headers (which may carry credentials) are not stored; resends use the current ones.
+   * @param {HTMLFormElement} formElement
+   * @param {import('./Submission.js').default} submission
+   * @param {string} formKey identifies the form's entries across page loads
+   */
+  constructor(formElement, submission, formKey) {
+    this.form = formElement;
+    this.logger = getLogger(formElement, 'SubmissionQueue');
+    this.submission = submission;
+    this.formKey = formKey;
+
+    this._db = null;
+    this._timer = null;
+    this._timerAt = 0;
+    this._flushing = false;
+    this._listeners = new AbortController();
+  }
+
+  /** Whether the browser can persist the queue */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Send what earlier page loads left queued, and resend whenever the connection returns.
+   */
+  start() {
+    window.addEventListener('online', () => this.flush(true), { signal: this._listeners.signal });
+    this.flush(true);
+  }
+
+  /**
+   * Queue a submission that could not be delivered.
+   * @param {Object<string, any>} values
+   * @param {string} key Idempotency-Key the submission was sent with
+   * @param {string} error why it failed ('network' or 'timeout')
+   * @returns {Promise<boolean>} false if IndexedDB refused the entry
+   */
+  async add(values, key, error) {
+    const now = Date.now();
+    const { endpoint, method, format } = this.submission.getRequest();
+    const entry = {
+      key,
+      form: this.formKey,
+      request: { endpoint, method, format },
+      values,
+      attempts: 1,
+      queuedAt: now,
+      nextAttemptAt: now + this._backoff(1)
+    };
+    try {
+      await this._run('readwrite', store => store.put(entry));
+    } catch (e) {
+      this.logger.warn('Could not queue the submission', e);
+      return false;
+    }
+    if (this._listeners.signal.aborted) return true;
+    this.logger.debug(`Submission ${key} queued after a ${error} error`);
+    this.form.dispatchEvent(new CustomEvent('submissionQueued', { detail: { key, values, error, queuedAt: now } }));
+    this._schedule(entry.nextAttemptAt);
+    return true;
+  }
+
+  /**
+   * Resend the form's queued submissions whose backoff has passed.
+   * @param {boolean} [force] ignore the backoff (page load, back online)
+   */
+  async flush(force = false) {
+    if (this._flushing || (typeof navigator !== 'undefined' && navigator.onLine === false)) return;
+    this._flushing = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    const { signal } = this._listeners;
+    try {
+      const entries = await this._run('readonly', store => store.index('form').getAll(this.formKey));
+      entries.sort((a, b) => a.queuedAt - b.queuedAt);
+
+      let nextAttemptAt = Infinity;
+      for (const entry of entries) {
+        if (signal.aborted) return;
+        if (!force && entry.nextAttemptAt > Date.now()) {
+          nextAttemptAt = Math.min(nextAttemptAt, entry.nextAttemptAt);
+          continue;
+        }
+        const request = { ...entry.request, headers: this.submission.getRequest().headers };
+        const result = await this.submission.send(entry.values, entry.key, request);
+        if (signal.aborted) return;
+        const attempts = entry.attempts + result.attempts;
+
+        if (result.ok) {
+          await this._run('readwrite', store => store.delete(entry.key));
+          this.form.dispatchEvent(new CustomEvent('submissionSent', {
+            detail: { key: entry.key, values: entry.values, status: result.status, data: result.data, attempts, queuedAt: entry.queuedAt }
+          }));
+        } else if (result.retryable) {
+          entry.attempts = attempts;
+          entry.nextAttemptAt = Date.now() + this._backoff(attempts);
+          nextAttemptAt = Math.min(nextAttemptAt, entry.nextAttemptAt);
+          await this._run('readwrite', store => store.put(entry));
+          this.logger.debug(`Queued submission ${entry.key} failed (${result.error}); next attempt in ${this._backoff(attempts)}ms`);
+        } else {
+          // the endpoint refused it; resending would not help
+          await this._run('readwrite', store => store.delete(entry.key));
+          this.logger.error(`Queued submission ${entry.key} was rejected: ${result.error}`);
+          this.form.dispatchEvent(new CustomEvent('submitError', {
+            detail: { key: entry.key, values: entry.values, status: result.status, error: result.error, data: result.data, attempts }
+          }));
+        }
+      }
+      this._schedule(nextAttemptAt);
+    } catch (e) {
+      this.logger.warn('Could not read the submission queue', e);
+    } finally {
+      this._flushing = false;
+    }
+  }
+
+  /** Stop resending; queued entries stay stored for the next page load. */
+  destroy() {
+    this._listeners.abort();
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._db) this._db.then(db => db.close(), () => {});
+    this._db = null;
+  }
+
+  _backoff(attempts) {
+    return Math.min(QUEUE_RETRY_BASE_MS * 2 ** (attempts - 1), QUEUE_RETRY_MAX_MS);
+  }
+
+  _schedule(time) {
+    if (!Number.isFinite(time) || this._listeners.signal.aborted) return;
+    if (this._timer && this._timerAt <= time) return;
+    clearTimeout(this._timer);
+    this._timerAt = time;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.flush();
+    }, Math.max(0, time - Date.now()));
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(QUEUE_STORE, { keyPath: 'key' });
+          store.createIndex('form', 'form');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // a failed open (private mode, blocked storage) can be retried on the next call
+      this._db.catch(() => { this._db = null; });
+    }
+    return this._db;
+  }
+
+  /**
+   * Run one request in its own transaction.
+   * @param {'readonly'|'readwrite'} mode
+   * @param {(store:IDBObjectStore) => IDBRequest} action
+   * @returns {Promise<any>} the request's result once the transaction completes
+   */
+  async _run(mode, action) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(QUEUE_STORE, mode);
+      const request = action(tx.objectStore(QUEUE_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+export default SubmissionQueue;
@@ -8,6 +8,7 @@ class Summary {
     this.stepManager = stepManager;
     this.memory = memory;
     this.container = container;
+    this._listeners = new AbortController();
   }
 
   /**
@@ -22,6 +23,8 @@ class Summary {
     Object.keys(values).forEach(fieldName => {
       const entry = values[fieldName];
       if (!entry.isVisible) return; // only include visible fields
+      // Fields inside repeatable instances are shown through their group's list entry
+      if (entry.fieldType !== 'array' && this._isArrayInstanceField(fieldName)) return;
       const stepIndex = entry.stepIndex ?? -1;
       const stepObj = this.stepManager.steps[stepIndex];
       let stepName = `Step ${stepIndex + 1}`;
@@ -41,8 +44,8 @@ class Summary {
         groups.push(group);
       }
 
-      const label = this._getFieldLabel(fieldName);
-      group.items.push({ label, value: entry.value, fieldName });
+      const label = entry.fieldType === 'array' ? this._getArrayLabel(fieldName) : this._getFieldLabel(fieldName);
+      group.items.push({ label, value: this.memory.getValue(fieldName), fieldName, fieldType: entry.fieldType });
     });
 
     // sort by step index
@@ -56,6 +59,11 @@ class Summary {
    */
   render(container = this.container) {
     if (!container) return;
+    // Designer-built summary: fill data-summary-field slots instead of generating markup
+    if (container.querySelector('[data-summary-field]')) {
+      this.renderBindings(container);
+      return;
+    }
     const summary = this.generate();
     container.innerHTML = '';
 
@@ -80,7 +88,9 @@ class Summary {
 
         const valueSpan = document.createElement('span');
         valueSpan.className = 'value';
-        if (Array.isArray(item.value)) {
+        if (item.fieldType === 'array') {
+          this._renderArrayValue(valueSpan, item.value);
+        } else if (Array.isArray(item.value)) {
           valueSpan.textContent = item.value.join(', ');
         } else {
           valueSpan.textContent = item.value;
@@ -103,6 +113,101 @@ class Summary {
     this.attachEditHandlers();
   }
 
+  /**
+   * Template-binding mode: fill existing [data-summary-field] elements and hide
+   * [data-summary-type] sections whose source block was never visited.
+   * @param {HTMLElement} [container]
+   */
+  renderBindings(container = this.container) {
+    if (!container) return;
+
+    container.querySelectorAll('[data-summary-type]').forEach(section => {
+      const block = this._findSourceBlock(section);
+      const visited = !!block && this._isBlockVisited(block);
+      section.style.display = visited ? '' : 'none';
+      section.toggleAttribute('data-summary-hidden', !visited);
+    });
+
+    container.querySelectorAll('[data-summary-field]').forEach(slot => {
+      const section = slot.closest('[data-summary-type]');
+      const scope = section ? this._findSourceBlock(section) : this.stepManager.root;
+      const field = scope ? this._findBoundField(scope, slot.getAttribute('data-summary-field')) : null;
+
+      if (!field) {
+        slot.textContent = '';
+        delete slot.dataset.fieldName;
+        return;
+      }
+      slot.textContent = this._formatValue(this._getBoundValue(field));
+      slot.dataset.fieldName = field.name;
+
+      if (!slot.dataset.summaryBound) {
+        slot.dataset.summaryBound = 'true';
+        slot.style.cursor = 'pointer';
+        slot.addEventListener('click', () => {
+          if (!slot.dataset.fieldName) return;
+          const location = this.getFieldLocation(slot.dataset.fieldName);
+          this.initiateFieldEdit(slot.dataset.fieldName, location ? location.stepIndex : -1);
+        }, { signal: this._listeners.signal });
+      }
+    });
+  }
+
+  /**
+   * Find the step block matching a summary section's type/number/subtype.
+   * @param {HTMLElement} section
+   * @returns {HTMLElement|null}
+   */
+  _findSourceBlock(section) {
+    const attrs = [
+      ['data-step-type', section.getAttribute('data-summary-type')],
+      ['data-step-number', section.getAttribute('data-summary-number')],
+      ['data-step-subtype', section.getAttribute('data-summary-subtype')]
+    ].filter(([, value]) => value);
+    const selector = attrs.map(([attr, value]) => `[${attr}="${value}"]`).join('');
+    return selector ? this.stepManager.root.querySelector(selector) : null;
+  }
+
+  _isBlockVisited(block) {
+    const wrapper = block.closest('[data-answer]');
+    if (wrapper) return this.stepManager.visitedWrappers.has(wrapper);
+    const stepEl = block.closest('[data-form="step"]');
+    return !!stepEl && stepEl.style.display !== 'none';
+  }
+
+  /**
+   * Field inside scope whose data-step-field-name or name matches the binding key.
+   * Prefers fields in visited wrappers when the scope holds several candidates.
+   */
+  _findBoundField(scope, key) {
+    const candidates = Array.from(scope.querySelectorAll(`[data-step-field-name="${key}"], [name="${key}"]`))
+      .filter(el => el.name && !el.closest('[data-form="summary"]'));
+    if (!candidates.length) return null;
+    return candidates.find(el => {
+      const wrapper = el.closest('[data-answer]');
+      return !wrapper || this.stepManager.visitedWrappers.has(wrapper);
+    }) || candidates[0];
+  }
+
+  _getBoundValue(field) {
+    const entry = (this.memory.data.values || {})[field.name];
+    if (entry) return this.memory.getValue(field.name);
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      const checked = this.stepManager.root.querySelector(`[name="${field.name}"]:checked`);
+      return checked ? checked.value : '';
+    }
+    return field.value;
+  }
+
+  _formatValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(v => (v && typeof v === 'object') ? Object.values(v).filter(Boolean).join(' ') : v)
+        .filter(Boolean)
+        .join(', ');
+    }
+    return value === null || value === undefined ? '' : String(value);
+  }
+
   /** Add click listeners to summary items */
   attachEditHandlers() {
     const items = this.container.querySelectorAll('.summary-item');
@@ -111,10 +216,27 @@ class Summary {
         const fieldName = item.dataset.fieldName;
         const stepIndex = parseInt(item.dataset.stepIndex, 10);
         this.initiateFieldEdit(fieldName, stepIndex);
-      });
+      }, { signal: this._listeners.signal });
     });
   }
 
+  /**
+   * Remove edit handlers and generated markup. Designer-built summaries are kept, with
+   * their slots unbound so a new Summary can bind them again.
+   */
+  destroy() {
+    this._listeners.abort();
+    if (!this.container) return;
+    if (this.container.querySelector('[data-summary-field]')) {
+      this.container.querySelectorAll('[data-summary-bound]').forEach(slot => {
+        delete slot.dataset.summaryBound;
+        slot.style.cursor = '';
+      });
+    } else {
+      this.container.innerHTML = '';
+    }
+  }
+
   /** Dispatch event so FormManager can navigate/focus */
   initiateFieldEdit(fieldName, stepIndex) {
     this.editContext = { fieldName, stepIndex };
@@ -144,6 +266,40 @@ class Summary {
     this.render();
   }
 
+  /**
+   * Render a repeatable group's list as numbered sub-items.
+   * @param {HTMLElement} target
+   * @param {Array<Object<string, any>>} instances
+   */
+  _renderArrayValue(target, instances) {
+    (instances || []).forEach((instance, i) => {
+      const text = Object.keys(instance || {})
+        .map(key => Array.isArray(instance[key]) ? instance[key].join(', ') : instance[key])
+        .filter(v => v !== '' && v !== undefined && v !== null)
+        .join(', ');
+      if (!text) return;
+      const subItem = document.createElement('div');
+      subItem.className = 'summary-subitem';
+      subItem.textContent = `${i + 1}. ${text}`;
+      target.appendChild(subItem);
+    });
+  }
+
+  _isArrayInstanceField(fieldName) {
+    const fieldEl = this.stepManager.root.querySelector(`[name="${fieldName}"]`);
+    return !!(fieldEl && fieldEl.closest('[data-array]'));
+  }
+
+  _getArrayLabel(key) {
+    const container = this.stepManager.root.querySelector(`[data-array-key="${key}"]`);
+    if (container) {
+      if (container.dataset.label) return container.dataset.label;
+      const name = container.getAttribute('data-dynamic-group');
+      if (name) return name.charAt(0).toUpperCase() + name.slice(1) + 's';
+    }
+    return key;
+  }
+
   _getFieldLabel(fieldName) {
     // Custom override
     const fieldEl = this.stepManager.root.querySelector(`[name="${fieldName}"]`);
@@ -0,0 +1,81 @@
+/**
+ * Address provider backed by the Google Maps JavaScript API (Places library).
+ * Requires `google.maps.places` to be loaded on the page.
+ */
+class GooglePlacesProvider {
+  /**
+   * @param {{componentRestrictions?: object}} [options] passed through to getPlacePredictions
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this._sessionToken = null;
+  }
+
+  /** Whether the Places library is available on the page. */
+  static isAvailable() {
+    return typeof window !== 'undefined' && !!(window.google && window.google.maps && window.google.maps.places);
+  }
+
+  /**
+   * @param {string} query
+   * @param {{types?: string[]}} [opts]
+   * @returns {Promise<Array<{id:string, description:string}>>}
+   */
+  getSuggestions(query, opts = {}) {
+    const places = window.google.maps.places;
+    if (!this._autocompleteService) {
+      this._autocompleteService = new places.AutocompleteService();
+    }
+    if (!this._sessionToken) {
+      this._sessionToken = new places.AutocompleteSessionToken();
+    }
+
+    return new Promise(resolve => {
+      this._autocompleteService.getPlacePredictions({
+        ...this.options,
+        input: query,
+        types: opts.types,
+        sessionToken: this._sessionToken
+      }, (predictions, status) => {
+        if (status !== places.PlacesServiceStatus.OK || !predictions) {
+          resolve([]);
+          return;
+        }
+        resolve(predictions.map(p => ({ id: p.place_id, description: p.description })));
+      });
+    });
+  }
+
+  /**
+   * @param {string} id place_id of a suggestion
+   * @returns {Promise<{description:string, components:Array<{long_name:string, short_name:string, types:string[]}>}|null>}
+   */
+  getDetails(id) {
+    const places = window.google.maps.places;
+    if (!this._placesService) {
+      this._placesService = new places.PlacesService(document.createElement('div'));
+    }
+    const sessionToken = this._sessionToken;
+    // A session ends with the details request
+    this._sessionToken = null;
+
+    return new Promise(resolve => {
+      this._placesService.getDetails({
+        placeId: id,
+        fields: ['address_components', 'formatted_address'],
+        sessionToken
+      }, (place, status) => {
+        if (status !== places.PlacesServiceStatus.OK || !place) {
+          resolve(null);
+          return;
+        }
+        resolve({
+          description: place.formatted_address,
+          components: place.address_components || []
+        });
+      });
+    });
+  }
+}
+
+export default GooglePlacesProvider;
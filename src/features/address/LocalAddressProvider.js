@@ -0,0 +1,43 @@
+/**
+ * Offline address provider that searches a fixed list of addresses.
+ * Useful for tests, demos and pages without the Google Maps API.
+ */
+class LocalAddressProvider {
+  /**
+   * @param {Array<{description:string, components:Array<{long_name:string, short_name:string, types:string[]}>}>} addresses
+   */
+  constructor(addresses = []) {
+    this.addresses = addresses.map((address, i) => ({ id: String(i), ...address }));
+  }
+
+  /**
+   * @param {string} query
+   * @param {{types?: string[]}} [opts] component types (e.g. "country") an entry must have to match
+   * @returns {Promise<Array<{id:string, description:string}>>}
+   */
+  getSuggestions(query, opts = {}) {
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return Promise.resolve([]);
+
+    // Collections such as "address" or "(regions)" match every entry
+    const types = (opts.types || []).filter(t => !['address', 'geocode', 'establishment'].includes(t) && !t.startsWith('('));
+    const matches = this.addresses.filter(address => {
+      if (types.length) {
+        const hasType = address.components.some(c => c.types.some(t => types.includes(t)));
+        if (!hasType) return false;
+      }
+      return address.description.toLowerCase().includes(needle);
+    });
+    return Promise.resolve(matches.map(a => ({ id: a.id, description: a.description })));
+  }
+
+  /**
+   * @param {string} id
+   */
+  getDetails(id) {
+    const address = this.addresses.find(a => a.id === id);
+    return Promise.resolve(address ? { description: address.description, components: address.components } : null);
+  }
+}
+
+export default LocalAddressProvider;
@@ -0,0 +1,57 @@
+/** Browsers drop cookies larger than about 4 KB */
+const COOKIE_MAX_BYTES = 4000;
+
+/**
+ * Memory adapter that keeps the draft in a first-party cookie, for sites where web storage
+ * is blocked or the draft must also reach the server. Suited to short forms only: a draft
+ * over ~4 KB is not saved.
+ */
+class CookieAdapter {
+  /**
+   * @param {{maxAge?:number, path?:string, sameSite?:'Lax'|'Strict'|'None'}} [options] maxAge in seconds
+   */
+  constructor({ maxAge = 30 * 24 * 60 * 60, path = '/', sameSite = 'Lax' } = {}) {
+    this.maxAge = maxAge;
+    this.path = path;
+    this.sameSite = sameSite;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {object|null}
+   */
+  load(key) {
+    const prefix = `${encodeURIComponent(key)}=`;
+    const cookie = document.cookie.split('; ').find(part => part.startsWith(prefix));
+    if (!cookie) return null;
+    try {
+      return JSON.parse(decodeURIComponent(cookie.slice(prefix.length)));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} data
+   */
+  save(key, data) {
+    const value = encodeURIComponent(JSON.stringify(data));
+    if (value.length > COOKIE_MAX_BYTES) throw new Error(`Draft too large for a cookie (${value.length} bytes)`);
+    this._write(key, value, this.maxAge);
+  }
+
+  /**
+   * @param {string} key
+   */
+  clear(key) {
+    this._write(key, '', 0);
+  }
+
+  _write(key, value, maxAge) {
+    const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+    document.cookie = `${encodeURIComponent(key)}=${value}; Max-Age=${maxAge}; Path=${this.path}; SameSite=${this.sameSite}${secure}`;
+  }
+}
+
+export default CookieAdapter;
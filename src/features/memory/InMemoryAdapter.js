@@ -0,0 +1,36 @@
+/**
+ * Memory adapter that keeps drafts only for the current page view (data-memory="none").
+ * Nothing is written to the device; reinit() still gets the values back.
+ */
+class InMemoryAdapter {
+  constructor() {
+    /** @type {Map<string, object>} */
+    this.drafts = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {object|null}
+   */
+  load(key) {
+    const data = this.drafts.get(key);
+    return data ? JSON.parse(JSON.stringify(data)) : null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} data
+   */
+  save(key, data) {
+    this.drafts.set(key, JSON.parse(JSON.stringify(data)));
+  }
+
+  /**
+   * @param {string} key
+   */
+  clear(key) {
+    this.drafts.delete(key);
+  }
+}
+
+export default InMemoryAdapter;
@@ -0,0 +1,70 @@
+const MEMORY_DB_NAME = 'multi-step-forms-memory';
+const MEMORY_STORE = 'drafts';
+
+/**
+ * Memory adapter backed by IndexedDB, for drafts too large for localStorage (e.g. long
+ * repeatable groups). Reads are asynchronous: saved values are restored once loaded.
+ */
+class IndexedDBAdapter {
+  constructor() {
+    this._db = null;
+  }
+
+  /** Whether the browser has IndexedDB */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<object|null>}
+   */
+  async load(key) {
+    const data = await this._run('readonly', store => store.get(key));
+    return data || null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} data
+   * @returns {Promise<void>}
+   */
+  async save(key, data) {
+    await this._run('readwrite', store => store.put(data, key));
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async clear(key) {
+    await this._run('readwrite', store => store.delete(key));
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(MEMORY_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(MEMORY_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // a failed open can be retried on the next call
+      this._db.catch(() => { this._db = null; });
+    }
+    return this._db;
+  }
+
+  async _run(mode, action) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(MEMORY_STORE, mode);
+      const request = action(tx.objectStore(MEMORY_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+export default IndexedDBAdapter;
@@ -0,0 +1,62 @@
+/**
+ * Memory adapter that keeps drafts on a server so a user can resume on another device.
+ * The draft lives at `<endpoint>/<draft id>`: GET loads it (404 means none), PUT saves it as
+ * JSON and DELETE removes it. The draft id must identify the user (their account id or a
+ * resume token); the storage key is the same for every visitor, so it is never used.
+ */
+class RemoteAdapter {
+  /**
+   * @param {{endpoint:string, draftId:string, headers?:Object<string, string>, credentials?:RequestCredentials}} options
+   */
+  constructor({ endpoint, draftId, headers = {}, credentials = 'same-origin' }) {
+    if (!draftId) throw new Error('RemoteAdapter needs a per-user draftId');
+    this.endpoint = endpoint.replace(/\/+$/, '');
+    this.draftId = draftId;
+    this.headers = headers;
+    this.credentials = credentials;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<object|null>}
+   */
+  async load(key) {
+    const response = await this._fetch(key, 'GET');
+    if (response.status === 404 || response.status === 204) return null;
+    if (!response.ok) throw new Error(`Loading the draft failed: HTTP ${response.status}`);
+    return response.json();
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} data
+   * @returns {Promise<void>}
+   */
+  async save(key, data) {
+    const response = await this._fetch(key, 'PUT', JSON.stringify(data));
+    if (!response.ok) throw new Error(`Saving the draft failed: HTTP ${response.status}`);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async clear(key) {
+    const response = await this._fetch(key, 'DELETE');
+    if (!response.ok && response.status !== 404) throw new Error(`Deleting the draft failed: HTTP ${response.status}`);
+  }
+
+  /** The storage key is ignored: the draft id names the user's draft */
+  _fetch(key, method, body) {
+    const headers = Object.assign({ Accept: 'application/json' }, this.headers);
+    if (body) headers['Content-Type'] = 'application/json';
+    return fetch(`${this.endpoint}/${encodeURIComponent(this.draftId)}`, {
+      method,
+      headers,
+      body,
+      credentials: this.credentials
+    });
+  }
+}
+
+export default RemoteAdapter;
@@ -0,0 +1,49 @@
+/**
+ * Memory adapter for localStorage (kept across visits) or sessionStorage (kept until the
+ * tab is closed). Reads are synchronous, so saved values are restored before the form is
+ * shown. Unreadable drafts and blocked storage (private mode, sandboxed iframes) read as
+ * no draft.
+ */
+class WebStorageAdapter {
+  /**
+   * @param {'local'|'session'} [type]
+   */
+  constructor(type = 'local') {
+    this.type = type;
+  }
+
+  /** @returns {Storage} throws a SecurityError where storage is blocked */
+  get storage() {
+    return this.type === 'session' ? window.sessionStorage : window.localStorage;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {object|null}
+   */
+  load(key) {
+    try {
+      const raw = this.storage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} data
+   */
+  save(key, data) {
+    this.storage.setItem(key, JSON.stringify(data));
+  }
+
+  /**
+   * @param {string} key
+   */
+  clear(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+export default WebStorageAdapter;
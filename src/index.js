@@ -1,23 +1,63 @@
 import FormManager from './core/FormManager.js';
+import GooglePlacesProvider from './features/address/GooglePlacesProvider.js';
+import LocalAddressProvider from './features/address/LocalAddressProvider.js';
+import WebStorageAdapter from './features/memory/WebStorageAdapter.js';
+import IndexedDBAdapter from './features/memory/IndexedDBAdapter.js';
+import InMemoryAdapter from './features/memory/InMemoryAdapter.js';
+import CookieAdapter from './features/memory/CookieAdapter.js';
+import RemoteAdapter from './features/memory/RemoteAdapter.js';
+import { getFormManager, getFormManagers } from './utils/registry.js';
 
-console.log('Multi-step form script loaded');
+// A second copy of the script (e.g. embedded twice in Webflow) leaves the forms to the first
+const alreadyLoaded = typeof window !== 'undefined' && !!window.MultiStepForms;
 
-if (typeof document !== 'undefined') {
-  const init = () => {
-    const forms = document.querySelectorAll('[data-form="multistep"]');
-    forms.forEach(form => {
-      const manager = new FormManager(form);
-      // Expose for custom integrations/debugging
-      form.__formManager = manager;
-      manager.init();
+/**
+ * Start a FormManager for every [data-form="multistep"] form that does not have one yet.
+ * Call again after a page transition (Barba, Swup) inserts new forms.
+ * @param {ParentNode} [root]
+ * @returns {Array<FormManager>} the managers created
+ */
+function initForms(root = document) {
+  const created = [];
+  root.querySelectorAll('[data-form="multistep"]').forEach(form => {
+    if (getFormManager(form)) return;
+    const manager = new FormManager(form);
+    manager.init();
+    created.push(manager);
 
-      console.log('FormManager initialized:', manager);
-    });
+    manager.logger.debug('FormManager initialized:', manager);
+  });
+  return created;
+}
+
+/**
+ * Destroy the managers of forms that are no longer in the document.
+ */
+function destroyDetachedForms() {
+  getFormManagers()
+    .filter(manager => !manager.form.isConnected)
+    .forEach(manager => manager.destroy());
+}
+
+if (typeof window !== 'undefined' && !alreadyLoaded) {
+  // Address providers for manager.address.setProvider() in non-module use
+  window.AddressProviders = { GooglePlacesProvider, LocalAddressProvider };
+  // Draft storage for the memoryAdapter option, e.g. new MemoryAdapters.RemoteAdapter({ endpoint })
+  window.MemoryAdapters = { WebStorageAdapter, IndexedDBAdapter, CookieAdapter, InMemoryAdapter, RemoteAdapter };
+  // Public access for custom integrations: MultiStepForms.get('form-id').next()
+  window.MultiStepForms = {
+    get: getFormManager,
+    all: getFormManagers,
+    init: initForms,
+    cleanup: destroyDetachedForms,
+    FormManager
   };
+}
 
+if (typeof document !== 'undefined' && !alreadyLoaded) {
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', () => initForms());
   } else {
-    init();
+    initForms();
   }
-} 
\ No newline at end of file
+}
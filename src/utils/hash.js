@@ -0,0 +1,14 @@
+/**
+ * Short, stable hash (32-bit FNV-1a, base 36) for fingerprints such as a form's field names.
+ * Not suitable for anything security related.
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
@@ -0,0 +1,56 @@
+/**
+ * Per-form leveled logging. Modules get a scoped logger with getLogger(form, 'Scope');
+ * the level and an optional sink (e.g. a monitoring client) are resolved on every call,
+ * so configureLogger() and data-debug changes apply to loggers created earlier.
+ */
+
+/** Log levels, quietest first */
+export const LOG_LEVELS = ['silent', 'error', 'warn', 'debug'];
+
+export const DEFAULT_LOG_LEVEL = 'warn';
+
+/** @type {WeakMap<object, {level?:string, sink?:{error?:Function, warn?:Function, debug?:Function}}>} */
+const loggerConfigs = new WeakMap();
+
+/**
+ * Read a level from an option or data-debug value: a level name, or "true"/empty for debug.
+ * @param {string|boolean|null|undefined} value
+ * @returns {string|null} null when the value does not name a level
+ */
+export function parseLogLevel(value) {
+  if (value === true || value === 'true' || value === '') return 'debug';
+  if (typeof value !== 'string') return null;
+  const level = value.trim().toLowerCase();
+  return LOG_LEVELS.includes(level) ? level : null;
+}
+
+/**
+ * Set the level and/or sink for a form's loggers.
+ * @param {object} form
+ * @param {{level?:string|boolean|null, sink?:object|null}} config
+ */
+export function configureLogger(form, { level = null, sink = null } = {}) {
+  loggerConfigs.set(form, { level: parseLogLevel(level), sink });
+}
+
+/**
+ * @param {object|null} form form (or other root) the logger belongs to
+ * @param {string} scope prefix for messages, e.g. 'StepManager'
+ * @returns {{error:Function, warn:Function, debug:Function}}
+ */
+export function getLogger(form, scope) {
+  const log = (level) => (message, ...args) => {
+    const config = (form && loggerConfigs.get(form)) || {};
+    const attr = form && typeof form.getAttribute === 'function' ? form.getAttribute('data-debug') : null;
+    const current = config.level || parseLogLevel(attr) || DEFAULT_LOG_LEVEL;
+    if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(current)) return;
+
+    const text = typeof message === 'string' ? `[${scope}] ${message}` : message;
+    if (config.sink && typeof config.sink[level] === 'function') {
+      config.sink[level](text, ...args);
+    } else {
+      console[level === 'debug' ? 'log' : level](text, ...args);
+    }
+  };
+  return { error: log('error'), warn: log('warn'), debug: log('debug') };
+}
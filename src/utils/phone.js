@@ -0,0 +1,143 @@
+/**
+ * Phone number helpers shared by the phone formatter and validation.
+ * Masks use "#" for a digit; min/max are national number lengths (without trunk prefix).
+ */
+export const PHONE_COUNTRIES = [
+  { iso: 'US', dial: '1', mask: '(###) ###-####', min: 10, max: 10 },
+  { iso: 'CA', dial: '1', mask: '(###) ###-####', min: 10, max: 10 },
+  { iso: 'GB', dial: '44', mask: '#### ######', min: 10, max: 10 },
+  { iso: 'AU', dial: '61', mask: '### ### ###', min: 9, max: 9 },
+  { iso: 'DE', dial: '49', mask: '#### ########', min: 6, max: 12 },
+  { iso: 'FR', dial: '33', mask: '# ## ## ## ##', min: 9, max: 9 },
+  { iso: 'ES', dial: '34', mask: '### ### ###', min: 9, max: 9 },
+  { iso: 'IT', dial: '39', mask: '### ### ####', min: 6, max: 11 },
+  { iso: 'NL', dial: '31', mask: '# ########', min: 9, max: 9 },
+  { iso: 'IE', dial: '353', mask: '## ### ####', min: 7, max: 9 },
+  { iso: 'MX', dial: '52', mask: '## #### ####', min: 10, max: 10 },
+  { iso: 'BR', dial: '55', mask: '## #####-####', min: 10, max: 11 },
+  { iso: 'IN', dial: '91', mask: '##### #####', min: 10, max: 10 },
+  { iso: 'CN', dial: '86', mask: '### #### ####', min: 11, max: 11 },
+  { iso: 'JP', dial: '81', mask: '##-####-####', min: 9, max: 10 }
+];
+
+export const DEFAULT_PHONE_COUNTRY = 'US';
+
+/**
+ * Resolve a country from an ISO code ("US"), dial code ("+44", "44") or option label.
+ * @param {string} code
+ * @returns {{iso:string, dial:string, mask:string, min:number, max:number}|null}
+ */
+export function getPhoneCountry(code) {
+  if (!code) return null;
+  const value = String(code).trim().toUpperCase();
+  const byIso = PHONE_COUNTRIES.find(c => c.iso === value);
+  if (byIso) return byIso;
+  const dial = value.replace(/[^\d]/g, '');
+  return dial ? PHONE_COUNTRIES.find(c => c.dial === dial) || null : null;
+}
+
+/**
+ * Find the country whose dial code prefixes an international number ("+44 20...").
+ * @param {string} digits digits following the "+"
+ */
+export function detectPhoneCountry(digits) {
+  return PHONE_COUNTRIES
+    .filter(c => digits.startsWith(c.dial))
+    .sort((a, b) => b.dial.length - a.dial.length)[0] || null;
+}
+
+/**
+ * Split any user input into a country and its national digits.
+ * "+44 020..." switches country by dial code; a leading trunk "0" (or "1" for NANP) is dropped.
+ * @param {string} input
+ * @param {object} country fallback country
+ * @returns {{country:object, national:string}}
+ */
+export function parsePhone(input, country) {
+  let digits = String(input || '').replace(/[^\d]/g, '');
+  let resolved = country;
+
+  if (String(input || '').trim().startsWith('+')) {
+    const detected = detectPhoneCountry(digits);
+    if (detected) {
+      // Keep the selected country when it shares the dial code (US/CA)
+      resolved = country && country.dial === detected.dial ? country : detected;
+      digits = digits.slice(detected.dial.length);
+    }
+  } else if (resolved && resolved.dial === '1' && digits.length === 11 && digits.startsWith('1')) {
+    digits = digits.slice(1);
+  }
+
+  if (resolved && resolved.dial !== '1' && digits.startsWith('0')) {
+    digits = digits.slice(1);
+  }
+  return { country: resolved, national: digits };
+}
+
+/**
+ * Apply a country's mask to national digits; extra digits are appended unformatted.
+ * @param {string} national
+ * @param {{mask:string}} country
+ */
+export function formatPhone(national, country) {
+  if (!country || !national) return national || '';
+  let result = '';
+  let i = 0;
+  for (const char of country.mask) {
+    if (i >= national.length) break;
+    if (char === '#') {
+      result += national[i++];
+    } else {
+      result += char;
+    }
+  }
+  return result + national.slice(i);
+}
+
+/**
+ * @param {string} national
+ * @param {{dial:string}} country
+ * @returns {string} E.164 number, or '' when there are no digits
+ */
+export function toE164(national, country) {
+  if (!national || !country) return '';
+  return `+${country.dial}${national}`;
+}
+
+/**
+ * Whether the national number has a possible length for the country.
+ * @param {string} national
+ * @param {{min:number, max:number}} country
+ */
+export function isPossiblePhone(national, country) {
+  if (!country) return national.length >= 6 && national.length <= 15;
+  return national.length >= country.min && national.length <= country.max;
+}
+
+/**
+ * Find the [data-country-code] select paired with a phone input (same wrapper or block).
+ * @param {HTMLElement} input
+ * @returns {HTMLSelectElement|null}
+ */
+export function findCountryCodeSelect(input) {
+  let el = input.parentElement;
+  while (el && !el.matches('[data-form="step"], form')) {
+    const select = el.querySelector('select[data-country-code]');
+    if (select) return /** @type {HTMLSelectElement} */ (select);
+    el = el.parentElement;
+  }
+  return null;
+}
+
+/**
+ * Country for a phone input: data-phone-format="GB" wins, then the paired country-code
+ * select, then the default.
+ * @param {HTMLElement} input
+ */
+export function resolvePhoneCountry(input) {
+  const fixed = getPhoneCountry(input.getAttribute('data-phone-format'));
+  if (fixed) return fixed;
+  const select = findCountryCodeSelect(input);
+  const selected = select ? getPhoneCountry(select.value) : null;
+  return selected || getPhoneCountry(DEFAULT_PHONE_COUNTRY);
+}
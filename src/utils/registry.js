@@ -0,0 +1,43 @@
+/**
+ * FormManager instances by form, exposed to integrations as window.MultiStepForms.
+ */
+
+/** @type {Map<HTMLFormElement, object>} */
+const formManagers = new Map();
+
+/**
+ * @param {HTMLFormElement} form
+ * @param {object} manager
+ */
+export function registerForm(form, manager) {
+  formManagers.set(form, manager);
+}
+
+/**
+ * @param {HTMLFormElement} form
+ * @param {object} [manager] only remove the entry if it is this manager
+ */
+export function unregisterForm(form, manager) {
+  if (!manager || formManagers.get(form) === manager) formManagers.delete(form);
+}
+
+/**
+ * Manager of a form, looked up by the form (or an element inside it), its id or its name.
+ * @param {string|HTMLElement} formIdOrEl
+ * @returns {object|null}
+ */
+export function getFormManager(formIdOrEl) {
+  let el = formIdOrEl;
+  if (typeof formIdOrEl === 'string') {
+    el = document.getElementById(formIdOrEl) || document.querySelector(`form[name="${formIdOrEl}"]`);
+  }
+  const form = el && typeof el.closest === 'function' ? el.closest('form') : null;
+  return (form && formManagers.get(form)) || null;
+}
+
+/**
+ * @returns {Array<object>} every registered manager, in creation order
+ */
+export function getFormManagers() {
+  return Array.from(formManagers.values());
+}
@@ -0,0 +1,101 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+import ConditionalLogic from '../src/features/ConditionalLogic.js';
+
+describe('ConditionalLogic', () => {
+  let form;
+  let logic;
+
+  beforeEach(() => {
+    setupDom(`
+      <form>
+        <select name="state"><option value="">Pick</option><option>California</option><option>Texas</option></select>
+        <input name="age" value="">
+        <input type="checkbox" name="services" value="tax"><input type="checkbox" name="services" value="payroll">
+        <div id="ca" data-show-if="state:equals:California" style="display:flex">CA only</div>
+        <div id="adult" data-hide-if="age:lt:18|age:empty">Adults</div>
+      </form>`);
+    form = document.querySelector('form');
+    logic = new ConditionalLogic(form, null);
+  });
+
+  const set = (name, value) => { form.querySelector(`[name="${name}"]`).value = value; };
+
+  it('parses AND clauses inside OR groups', () => {
+    assert.deepEqual(logic.parseRule('a:equals:1;b:contains:x:y|c'), [
+      [{ field: 'a', operator: 'equals', value: '1' }, { field: 'b', operator: 'contains', value: 'x:y' }],
+      [{ field: 'c', operator: 'notempty', value: '' }]
+    ]);
+    assert.deepEqual(logic.parseRule(''), []);
+    assert.deepEqual(logic.parseRule(' ; | '), []);
+  });
+
+  it('lets AND bind tighter than OR', () => {
+    set('state', 'Texas');
+    set('age', '30');
+    assert.equal(logic.matches('state:equals:California;age:gt:18|age:gt:21'), true);
+    assert.equal(logic.matches('state:equals:California;age:gt:18|age:gt:40'), false);
+  });
+
+  it('compares numbers, text and checkbox groups', () => {
+    set('age', '17');
+    assert.equal(logic.matches('age:lt:18'), true);
+    assert.equal(logic.matches('age:gt:abc'), false);
+    set('state', 'California');
+    assert.equal(logic.matches('state:contains:cali'), true);
+    assert.equal(logic.matches('state:notequals:California'), false);
+
+    assert.equal(logic.matches('services:empty'), true);
+    form.querySelector('[value="payroll"]').checked = true;
+    assert.equal(logic.matches('services:equals:payroll'), true);
+    assert.equal(logic.matches('services:equals:tax'), false);
+    assert.equal(logic.matches('services:notempty'), true);
+  });
+
+  it('treats unknown operators as not matching', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    set('age', '20');
+    assert.equal(logic.matches('age:between:10'), false);
+    assert.equal(warn.mock.callCount(), 1);
+    warn.mock.restore();
+  });
+
+  it('hides and reveals elements, restoring their own display', () => {
+    const ca = document.getElementById('ca');
+    const adult = document.getElementById('adult');
+    logic.evaluate();
+    assert.equal(ca.style.display, 'none');
+    assert.ok(ca.hasAttribute('data-logic-hidden'));
+    assert.equal(adult.style.display, 'none');
+
+    set('state', 'California');
+    set('age', '40');
+    logic.evaluate();
+    assert.equal(ca.style.display, 'flex');
+    assert.equal(ca.hasAttribute('data-logic-hidden'), false);
+    assert.equal(adult.style.display, '');
+  });
+
+  it('leaves revealed steps and wrappers to the step manager', () => {
+    const wrapper = document.createElement('div');
+    wrapper.setAttribute('data-answer', 'ca-branch');
+    wrapper.setAttribute('data-show-if', 'state:equals:California');
+    form.appendChild(wrapper);
+
+    logic.evaluate();
+    assert.equal(wrapper.style.display, 'none');
+    set('state', 'California');
+    logic.evaluate();
+    assert.equal(wrapper.hasAttribute('data-logic-hidden'), false);
+    assert.equal(wrapper.style.display, 'none');
+  });
+
+  it('reports visibility changes once per change', () => {
+    const changes = [];
+    form.addEventListener('visibilityChange', e => changes.push([e.detail.element.id, e.detail.hidden]));
+    logic.evaluate();
+    logic.evaluate();
+    assert.deepEqual(changes, [['ca', true], ['adult', true]]);
+  });
+});
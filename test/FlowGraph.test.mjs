@@ -0,0 +1,140 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+import StepManager from '../src/core/StepManager.js';
+import FlowGraph from '../src/core/FlowGraph.js';
+
+/** Compile a graph from step markup */
+function compile(html) {
+  setupDom(`<form>${html}</form>`);
+  const stepManager = new StepManager(document.querySelector('form'));
+  stepManager.discoverSteps();
+  return new FlowGraph(stepManager).build();
+}
+
+const route = path => path.map(({ index, answer }) => `${index}:${answer}`).join(' > ');
+
+/** Where a resolved step leads, without the details of how */
+const hop = ({ index, answer, type, error }) => (index === -1 ? { index, error } : { index, answer, type });
+
+describe('FlowGraph', () => {
+  let graph;
+
+  beforeEach(() => {
+    graph = compile(`
+      <div data-form="step"><div data-answer="start" data-go-to="kind"></div></div>
+      <div data-form="step"><div data-answer="kind" data-branch="true">
+        <input type="radio" name="kind" value="person" data-go-to="person">
+        <input type="radio" name="kind" value="company" data-go-to="company">
+      </div></div>
+      <div data-form="step">
+        <div data-answer="person" data-go-to="review"></div>
+        <div data-answer="company" data-go-to="details"><a data-skip="review">Skip</a></div>
+      </div>
+      <div data-form="step"><div data-answer="details"></div></div>
+      <div data-form="step"><div data-answer="review"></div></div>`);
+  });
+
+  describe('getNextStep', () => {
+    it('follows data-go-to', () => {
+      assert.deepEqual(hop(graph.getNextStep({ stepIndex: 0, answer: 'start' })),
+        { index: 1, answer: 'kind', type: 'go-to' });
+    });
+
+    it('follows the checked radio of a branching step', () => {
+      assert.deepEqual(hop(graph.getNextStep({ stepIndex: 1, answer: 'kind', values: { kind: 'company' } })),
+        { index: 2, answer: 'company', type: 'branch' });
+    });
+
+    it('names the target and the radio a branch was taken for', () => {
+      assert.deepEqual(graph.getNextStep({ stepIndex: 1, answer: 'kind', values: { kind: 'person' } }),
+        { index: 2, answer: 'person', type: 'branch', target: 'person', name: 'kind', value: 'person' });
+      assert.deepEqual(graph.getNextStep({ stepIndex: 0, answer: 'start' }),
+        { index: 1, answer: 'kind', type: 'go-to', target: 'kind' });
+    });
+
+    it('asks for a choice when no radio is checked', () => {
+      assert.deepEqual(graph.getNextStep({ stepIndex: 1, answer: 'kind', values: {} }),
+        { index: -1, error: 'choice-required' });
+    });
+
+    it('falls through to the next step in document order', () => {
+      assert.deepEqual(hop(graph.getNextStep({ stepIndex: 3, answer: 'details' })),
+        { index: 4, answer: 'review', type: 'next' });
+    });
+
+    it('uses the go-to of the wrapper shown', () => {
+      assert.equal(graph.getNextStep({ stepIndex: 2, answer: 'person' }).index, 4);
+      assert.equal(graph.getNextStep({ stepIndex: 2, answer: 'company' }).index, 3);
+    });
+
+    it('finds no step after the last one or for unknown targets', () => {
+      assert.equal(graph.getNextStep({ stepIndex: 4, answer: 'review' }).index, -1);
+      const broken = compile('<div data-form="step"><div data-answer="a" data-go-to="nowhere"></div></div>');
+      assert.deepEqual(broken.getNextStep({ stepIndex: 0, answer: 'a' }),
+        { index: -1, error: 'missing-target', target: 'nowhere' });
+    });
+
+    it('matches targets case-insensitively', () => {
+      const mixed = compile(`
+        <div data-form="step"><div data-answer="a" data-go-to="Next"></div></div>
+        <div data-form="step"><div data-answer="next"></div></div>`);
+      assert.equal(mixed.getNextStep({ stepIndex: 0, answer: 'a' }).index, 1);
+    });
+  });
+
+  describe('getSkipStep', () => {
+    it('resolves skip controls, compiled or not', () => {
+      assert.deepEqual(graph.getSkipStep({ stepIndex: 2, answer: 'company' }, 'review'),
+        { index: 4, answer: 'review', type: 'skip', target: 'review' });
+      assert.equal(graph.getSkipStep({ stepIndex: 0, answer: 'start' }, 'details').index, 3);
+      assert.deepEqual(graph.getSkipStep({ stepIndex: 0, answer: 'start' }, 'nowhere'),
+        { index: -1, error: 'missing-target', target: 'nowhere' });
+    });
+  });
+
+  describe('getLikelyPath', () => {
+    it('follows the choices made, else the first option', () => {
+      assert.equal(route(graph.getLikelyPath({ stepIndex: 0, answer: 'start' })), '1:kind > 2:person > 4:review');
+      assert.equal(route(graph.getLikelyPath({ stepIndex: 0, answer: 'start', values: { kind: 'company' } })),
+        '1:kind > 2:company > 3:details > 4:review');
+    });
+  });
+
+  describe('getPaths', () => {
+    it('lists every route from the first step', () => {
+      assert.deepEqual(graph.getPaths().map(route), [
+        '0:start > 1:kind > 2:person > 4:review',
+        '0:start > 1:kind > 2:company > 3:details > 4:review',
+        '0:start > 1:kind > 2:company > 4:review'
+      ]);
+    });
+
+    it('cuts loops and honours the limit', () => {
+      const loop = compile(`
+        <div data-form="step"><div data-answer="a" data-go-to="b"></div></div>
+        <div data-form="step"><div data-answer="b" data-go-to="a"></div></div>`);
+      assert.deepEqual(loop.getPaths().map(route), ['0:a > 1:b']);
+      assert.equal(graph.getPaths({ limit: 1 }).length, 1);
+    });
+  });
+
+  describe('diagnose', () => {
+    it('finds nothing wrong in consistent markup', () => {
+      assert.deepEqual(graph.diagnose(), { unreachable: [], dangling: [], duplicates: [], cycles: [] });
+    });
+
+    it('reports unreachable steps, dangling targets, duplicate answers and cycles', () => {
+      const broken = compile(`
+        <div data-form="step"><div data-answer="a" data-go-to="b"></div></div>
+        <div data-form="step"><div data-answer="b" data-go-to="a"><a data-skip-to="ghost">Skip</a></div></div>
+        <div data-form="step"><div data-answer="orphan"></div></div>
+        <div data-form="step"><div data-answer="b"></div></div>`);
+      const report = broken.diagnose();
+      assert.deepEqual(report.unreachable, [2, 3]);
+      assert.deepEqual(report.dangling, [{ index: 1, answer: 'b', target: 'ghost', type: 'skip' }]);
+      assert.deepEqual(report.duplicates, [{ answer: 'b', steps: [1, 3] }]);
+      assert.deepEqual(report.cycles.map(route), ['0:a > 1:b']);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+import Memory from '../src/features/Memory.js';
+import InMemoryAdapter from '../src/features/memory/InMemoryAdapter.js';
+
+const STORAGE_KEY = 'form-memory-f';
+
+/** Type into a field the way a user would */
+const type = (field, value) => {
+  field.value = value;
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+describe('Memory fieldChange', () => {
+  let form;
+  let memory;
+  let block;
+  let changes;
+
+  beforeEach(() => {
+    setupDom('<form id="f"><input type="text" name="email" value="default@x.co"><select name="plan"><option>basic</option><option>pro</option></select></form>');
+    form = document.querySelector('form');
+    memory = new Memory(form, null, 0);
+    block = false;
+    changes = [];
+    form.addEventListener('fieldChange', e => {
+      changes.push(e.detail);
+      if (block) e.preventDefault();
+    });
+  });
+
+  it('reports the new and previous value before saving', () => {
+    const field = form.querySelector('[name="email"]');
+    type(field, 'a@b.co');
+    type(field, 'c@d.co');
+    assert.deepEqual(changes.map(c => [c.name, c.value, c.previousValue]), [
+      ['email', 'a@b.co', undefined],
+      ['email', 'c@d.co', 'a@b.co']
+    ]);
+    assert.equal(memory.getValue('email'), 'c@d.co');
+  });
+
+  it('puts a cancelled change back in the field', () => {
+    const field = form.querySelector('[name="email"]');
+    type(field, 'a@b.co');
+    block = true;
+    const saved = [];
+    form.addEventListener('memoryChange', e => saved.push(e.detail.name));
+    type(field, 'rejected@x.co');
+    assert.equal(field.value, 'a@b.co');
+    assert.equal(memory.getValue('email'), 'a@b.co');
+    assert.deepEqual(saved, []);
+  });
+
+  it('applies setValue only when the change is allowed', () => {
+    const field = form.querySelector('[name="email"]');
+    assert.equal(memory.setValue('email', 'a@b.co'), true);
+    assert.equal(field.value, 'a@b.co');
+    block = true;
+    assert.equal(memory.setValue('email', 'rejected@x.co'), false);
+    assert.equal(field.value, 'a@b.co');
+    assert.equal(memory.getValue('email'), 'a@b.co');
+  });
+
+  it('puts a field that was never saved back to its default', () => {
+    const field = form.querySelector('[name="email"]');
+    const select = form.querySelector('[name="plan"]');
+    block = true;
+    type(field, 'rejected@x.co');
+    select.value = 'pro';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    assert.equal(field.value, 'default@x.co');
+    assert.equal(select.value, 'basic');
+    assert.equal(memory.getValue('email'), undefined);
+  });
+});
+
+describe('Memory drafts', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let form;
+  let adapter;
+  let discarded;
+
+  beforeEach(() => {
+    setupDom('<form id="f"><input type="text" name="email"></form>');
+    form = document.querySelector('form');
+    adapter = new InMemoryAdapter();
+    discarded = [];
+    form.addEventListener('memoryDiscarded', e => discarded.push(e.detail.reason));
+  });
+
+  /** Store a draft for the email field, then load it as the page would */
+  const load = (draft, options = {}) => {
+    adapter.save(STORAGE_KEY, { values: { email: { value: 'saved@x.co', fieldType: 'text' } }, lastUpdated: Date.now(), ...draft });
+    return new Memory(form, null, 0, { adapter, version: '3', ...options });
+  };
+  const email = () => form.querySelector('[name="email"]').value;
+
+  it('reads data-memory-ttl durations', () => {
+    const memory = new Memory(form, null, 0, { adapter });
+    assert.equal(memory._parseTtl(null), 30 * DAY);
+    assert.equal(memory._parseTtl('7d'), 7 * DAY);
+    assert.equal(memory._parseTtl('12h'), 12 * 60 * 60 * 1000);
+    assert.equal(memory._parseTtl('90m'), 90 * 60 * 1000);
+    assert.equal(memory._parseTtl('2'), 2 * DAY);
+    assert.equal(memory._parseTtl('0'), 0);
+
+    const warn = mock.method(console, 'warn', () => {});
+    assert.equal(memory._parseTtl('soon'), 30 * DAY);
+    assert.equal(warn.mock.callCount(), 1);
+    warn.mock.restore();
+  });
+
+  it('restores a draft of the same version', () => {
+    load({ version: '3' });
+    assert.equal(email(), 'saved@x.co');
+    assert.deepEqual(discarded, []);
+  });
+
+  it('discards drafts older than the TTL', () => {
+    load({ version: '3', lastUpdated: Date.now() - 2 * DAY }, { ttl: DAY });
+    assert.equal(email(), '');
+    assert.deepEqual(discarded, ['expired']);
+    assert.equal(adapter.load(STORAGE_KEY), null);
+  });
+
+  it('keeps drafts forever with a TTL of 0', () => {
+    load({ version: '3', lastUpdated: Date.now() - 400 * DAY }, { ttl: 0 });
+    assert.equal(email(), 'saved@x.co');
+  });
+
+  it('discards drafts of another version without a migration', () => {
+    load({ version: '1' });
+    assert.equal(email(), '');
+    assert.deepEqual(discarded, ['version']);
+    assert.equal(adapter.load(STORAGE_KEY), null);
+  });
+
+  it('chains migrations up to the current version', () => {
+    const memory = load({ version: '1' }, {
+      migrations: {
+        1: draft => ({ ...draft, version: '2', values: { email: { ...draft.values.email, value: 'v2@x.co' } } }),
+        2: draft => { draft.values.email.value = draft.values.email.value.replace('v2', 'v3'); return draft; }
+      }
+    });
+    assert.equal(email(), 'v3@x.co');
+    assert.equal(memory.data.version, '3');
+  });
+
+  it('discards the draft when a migration fails or goes in circles', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    load({ version: '1' }, { migrations: { 1: () => { throw new Error('bad draft'); } } });
+    assert.equal(email(), '');
+    warn.mock.restore();
+
+    load({ version: '1' }, { migrations: { 1: draft => ({ ...draft, version: '2' }), 2: draft => ({ ...draft, version: '1' }) } });
+    assert.equal(email(), '');
+    assert.deepEqual(discarded, ['version', 'version']);
+  });
+
+  it('keeps drafts saved before versions were stamped', () => {
+    const memory = load({});
+    assert.equal(email(), 'saved@x.co');
+    assert.equal(memory.data.version, '3');
+    assert.deepEqual(discarded, []);
+
+    memory.saveAllFields();
+    assert.equal(adapter.load(STORAGE_KEY).version, '3');
+  });
+
+  it('converts unversioned drafts with an unversioned migration', () => {
+    load({}, { migrations: { unversioned: draft => { draft.values.email.value = 'old@x.co'; return draft; } } });
+    assert.equal(email(), 'old@x.co');
+
+    form.querySelector('[name="email"]').value = '';
+    load({}, { migrations: { unversioned: () => null } });
+    assert.equal(email(), '');
+    assert.deepEqual(discarded, ['version']);
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+import StepManager from '../src/core/StepManager.js';
+import Submission from '../src/features/Submission.js';
+
+/** Memory stand-in: values saved without a field */
+const memoryWith = (values = {}) => ({
+  data: { values },
+  getValue: name => (values[name] ? values[name].value : undefined)
+});
+
+/**
+ * fetch stand-in answering with the given responses in turn; `{hang: true}` waits for the
+ * abort, `{network: true}` fails like a dropped connection.
+ */
+function stubFetch(responses) {
+  const calls = [];
+  const fetch = mock.fn((url, init) => {
+    calls.push({ url, init });
+    const response = responses.shift() || { status: 200, body: '{}' };
+    if (response.hang) {
+      return new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+      });
+    }
+    if (response.network) return Promise.reject(new TypeError('Failed to fetch'));
+    return Promise.resolve({
+      ok: response.status < 300,
+      status: response.status,
+      text: async () => response.body || ''
+    });
+  });
+  globalThis.fetch = fetch;
+  return calls;
+}
+
+describe('Submission', () => {
+  let form;
+  let stepManager;
+  const realFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    setupDom(`
+      <form id="f" data-submit-endpoint="/api/apply" data-submit-retries="2" data-submit-timeout="200">
+        <div data-form="step"><input name="name" value="Ada"></div>
+        <div data-form="step">
+          <div data-answer="person"><input name="dob" value="1990-01-01"></div>
+          <div data-answer="company"><input name="ein" value="12-3456789"></div>
+        </div>
+        <div data-form="step"><input name="skipped" value="x"></div>
+        <div data-form="step">
+          <input type="checkbox" name="services" value="tax" checked><input type="checkbox" name="services" value="payroll">
+          <input name="secret" value="hidden" data-logic-hidden>
+        </div>
+      </form>`);
+    form = document.querySelector('form');
+    stepManager = new StepManager(form);
+    stepManager.discoverSteps();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  const create = (options = {}, memory = memoryWith()) => new Submission(
+    form, stepManager, memory, field => field.hasAttribute('data-logic-hidden'), { retryDelay: 0, ...options });
+
+  it('reads its settings from the form', () => {
+    const submission = create();
+    assert.equal(submission.config.endpoint, '/api/apply');
+    assert.equal(submission.config.format, 'json');
+    assert.equal(submission.config.method, 'POST');
+    assert.equal(submission.config.retries, 2);
+    assert.equal(submission.config.timeout, 200);
+  });
+
+  it('collects only the fields on the route taken', () => {
+    const submission = create({}, memoryWith({ plan: { value: 'pro', fieldType: 'text' } }));
+    const values = submission.collect([{ index: 0, answer: '' }, { index: 1, answer: 'company' }, { index: 3, answer: '' }]);
+    assert.deepEqual(values, { name: 'Ada', ein: '12-3456789', services: ['tax'], plan: 'pro' });
+  });
+
+  it('serializes JSON, urlencoded and multipart bodies', () => {
+    const values = { name: 'Ada', services: ['tax', 'payroll'], trustees: [{ name: 'B' }], empty: null };
+    assert.deepEqual(create().serialize(values), {
+      body: JSON.stringify(values),
+      contentType: 'application/json'
+    });
+
+    const urlencoded = create({ format: 'urlencoded' }).serialize(values);
+    assert.equal(urlencoded.body, 'name=Ada&services=tax&services=payroll&trustees=%5B%7B%22name%22%3A%22B%22%7D%5D&empty=');
+
+    const multipart = create({ format: 'form-data' }).serialize(values);
+    assert.equal(multipart.contentType, null);
+    assert.deepEqual(multipart.body.getAll('services'), ['tax', 'payroll']);
+  });
+
+  it('retries server errors and network failures, then succeeds', async () => {
+    const calls = stubFetch([{ status: 503 }, { network: true }, { status: 201, body: '{"id":7}' }]);
+    const result = await create().send({ name: 'Ada' });
+    assert.equal(result.ok, true);
+    assert.equal(result.status, 201);
+    assert.deepEqual(result.data, { id: 7 });
+    assert.equal(result.attempts, 3);
+    assert.equal(calls.length, 3);
+    assert.equal(calls[0].url, '/api/apply');
+    assert.equal(calls[0].init.headers['Content-Type'], 'application/json');
+  });
+
+  it('gives up after the configured retries', async () => {
+    stubFetch([{ status: 500 }, { status: 502 }, { status: 503 }, { status: 200 }]);
+    const result = await create().send({});
+    assert.equal(result.ok, false);
+    assert.equal(result.error, 'HTTP 503');
+    assert.equal(result.attempts, 3);
+  });
+
+  it('does not retry requests the endpoint refused', async () => {
+    const calls = stubFetch([{ status: 422, body: '{"errors":["name"]}' }]);
+    const result = await create().send({});
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 422);
+    assert.deepEqual(result.data, { errors: ['name'] });
+    assert.equal(calls.length, 1);
+  });
+
+  it('times out slow requests and retries them', async () => {
+    stubFetch([{ hang: true }, { status: 200 }]);
+    const result = await create({ timeout: 10 }).send({});
+    assert.equal(result.ok, true);
+    assert.equal(result.attempts, 2);
+  });
+
+  it('sends one idempotency key across retries and reports whether a failure is retryable', async () => {
+    const calls = stubFetch([{ status: 429 }, { status: 200 }]);
+    const result = await create().send({});
+    assert.equal(result.ok, true);
+    assert.equal(result.attempts, 2);
+    assert.ok(result.key);
+    assert.deepEqual(calls.map(call => call.init.headers['Idempotency-Key']), [result.key, result.key]);
+
+    stubFetch([{ status: 400 }]);
+    const refused = await create().send({});
+    assert.equal(refused.retryable, false);
+  });
+
+  it('resends a queued submission with its own key and request', async () => {
+    const calls = stubFetch([{ status: 200 }]);
+    const request = { endpoint: '/api/queued', method: 'PUT', format: 'urlencoded', headers: { 'X-Draft': '1' } };
+    const result = await create().send({ name: 'Ada' }, 'queued-key', request);
+    assert.equal(result.key, 'queued-key');
+    assert.equal(calls[0].url, '/api/queued');
+    assert.equal(calls[0].init.method, 'PUT');
+    assert.equal(calls[0].init.body, 'name=Ada');
+    assert.equal(calls[0].init.headers['Idempotency-Key'], 'queued-key');
+    assert.equal(calls[0].init.headers['X-Draft'], '1');
+  });
+
+  it('keeps concurrent sends independent and aborts all of them on destroy', async () => {
+    const submission = create();
+    stubFetch([{ status: 200, body: '{"n":1}' }, { status: 200, body: '{"n":2}' }]);
+    const [first, second] = await Promise.all([submission.send({ n: 1 }), submission.send({ n: 2 })]);
+    assert.deepEqual([first.data, second.data], [{ n: 1 }, { n: 2 }]);
+
+    const calls = stubFetch([{ hang: true }, { hang: true }]);
+    const pending = [submission.send({ n: 3 }), submission.send({ n: 4 })];
+    await new Promise(resolve => setTimeout(resolve, 0));
+    submission.destroy();
+    const results = await Promise.all(pending);
+    assert.deepEqual(results.map(r => [r.ok, r.error, r.attempts]), [[false, 'aborted', 1], [false, 'aborted', 1]]);
+    assert.equal(calls.every(call => call.init.signal.aborted), true);
+  });
+});
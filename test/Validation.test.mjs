@@ -0,0 +1,217 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+import Validation from '../src/core/Validation.js';
+
+/** Error message shown next to a field, if any */
+const errorOf = field => {
+  const el = field.parentElement.querySelector('.error-message');
+  return el ? el.textContent : null;
+};
+
+describe('Validation rules', () => {
+  let form;
+  let validation;
+
+  beforeEach(() => {
+    setupDom('<form><div data-form="step" id="step"></div></form>');
+    form = document.querySelector('form');
+    validation = new Validation(form);
+  });
+
+  /** Put one field (in its own wrapper) into the step and return it */
+  const field = (html, value) => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = html;
+    document.getElementById('step').appendChild(wrapper);
+    const el = wrapper.querySelector('input, select, textarea');
+    if (value !== undefined) el.value = value;
+    return el;
+  };
+
+  it('requires required fields, with data-error overrides', () => {
+    const plain = field('<input name="a" required>');
+    const custom = field('<input name="b" required data-error-required="Tell us your name">');
+    assert.equal(validation.validateField(plain), false);
+    assert.equal(errorOf(plain), 'This field is required');
+    assert.equal(validation.validateField(custom), false);
+    assert.equal(errorOf(custom), 'Tell us your name');
+  });
+
+  it('lets optional fields stay empty', () => {
+    assert.equal(validation.validateField(field('<input type="email" name="e">')), true);
+  });
+
+  it('checks built-in rules from the field attributes', () => {
+    assert.equal(validation.validateField(field('<input type="email" name="e">', 'a@b')), false);
+    assert.equal(validation.validateField(field('<input type="email" name="e2">', 'a@b.co')), true);
+    assert.equal(validation.validateField(field('<input type="url" name="u">', 'example.com/x')), true);
+    assert.equal(validation.validateField(field('<input type="url" name="u2">', 'ftp://example.com')), false);
+    assert.equal(validation.validateField(field('<input name="n" min="18">', '17')), false);
+    assert.equal(validation.validateField(field('<input type="date" name="d" max="2024-12-31">', '2025-01-01')), false);
+    assert.equal(validation.validateField(field('<input name="p" pattern="[A-Z]{2}\\d+">', 'AB12')), true);
+    assert.equal(validation.validateField(field('<input name="p2" pattern="[A-Z]{2}\\d+">', 'AB12x')), false);
+    assert.equal(validation.validateField(field('<input name="l" minlength="3">', 'ab')), false);
+  });
+
+  it('names the range in the message', () => {
+    const el = field('<input name="n" max="10">', '11');
+    validation.validateField(el);
+    assert.equal(errorOf(el), 'Please enter a value of 10 or less');
+  });
+
+  it('validates phone numbers for the paired country', () => {
+    const us = field('<input name="tel" data-phone-format="US">', '415 555 012');
+    assert.equal(validation.validateField(us), false);
+    assert.equal(errorOf(us), 'Please enter a valid phone number');
+    assert.equal(validation.validateField(field('<input name="tel2" data-phone-format="US">', '(415) 555-0123')), true);
+  });
+
+  it('applies registered rules listed in data-validate with their parameter', () => {
+    validation.registerRule('multipleOf', {
+      validate: (value, step) => Number(value) % Number(step) === 0,
+      message: step => `Use steps of ${step}`
+    });
+    const el = field('<input name="qty" data-validate="multipleOf" data-validate-multiple-of="5">', '12');
+    assert.equal(validation.validateField(el), false);
+    assert.equal(errorOf(el), 'Use steps of 5');
+    el.value = '15';
+    assert.equal(validation.validateField(el), true);
+    assert.throws(() => validation.registerRule('broken', {}));
+  });
+
+  it('enforces data-min-checked on checkbox groups once per step', () => {
+    const step = document.getElementById('step');
+    step.innerHTML = `
+      <div data-min-checked="2">
+        <input type="checkbox" name="s" value="a" checked><input type="checkbox" name="s" value="b">
+      </div>`;
+    assert.equal(validation.validateStep(step), false);
+    assert.equal(step.querySelectorAll('.error-message').length, 1);
+    step.querySelector('[value="b"]').checked = true;
+    assert.equal(validation.validateStep(step), true);
+  });
+
+  it('skips fields hidden by logic and optional fields in hidden wrappers', () => {
+    const step = document.getElementById('step');
+    step.innerHTML = `
+      <div data-logic-hidden><input name="hidden" required></div>
+      <div style="display:none"><input type="email" name="other" value="nope"></div>
+      <div><input name="shown" required value="ok"></div>`;
+    assert.equal(validation.validateStep(step), true);
+  });
+
+  it('clears earlier errors when the step is validated again', () => {
+    const el = field('<input name="a" required>');
+    const step = document.getElementById('step');
+    assert.equal(validation.validateStep(step), false);
+    el.value = 'x';
+    assert.equal(validation.validateStep(step), true);
+    assert.equal(step.querySelector('.field-error'), null);
+    assert.equal(errorOf(el), null);
+  });
+});
+
+describe('Async validation', () => {
+  let form;
+  let step;
+  let validation;
+
+  beforeEach(() => {
+    setupDom(`
+      <form>
+        <div data-form="step" id="step" data-validate-async="company">
+          <div><input name="email" data-validate-async="unique" value="a@b.co"></div>
+        </div>
+      </form>`);
+    form = document.querySelector('form');
+    step = document.getElementById('step');
+    validation = new Validation(form);
+  });
+
+  /** A validator that resolves only when told to, recording its abort signals */
+  const deferred = () => {
+    const calls = [];
+    const validator = (subject, { signal }) => new Promise(resolve => {
+      calls.push({ resolve, signal });
+    });
+    return { calls, validator };
+  };
+
+  it('resolves the step once field and step validators pass', async () => {
+    let fieldCalls = 0;
+    validation.registerAsyncValidator('unique', async () => { fieldCalls++; return true; });
+    validation.registerStepValidator('company', async () => true);
+    assert.equal(await validation.validateStepAsync(step), true);
+    // the field's result is cached for an unchanged value
+    assert.equal(await validation.validateStepAsync(step), true);
+    assert.equal(fieldCalls, 1);
+  });
+
+  it('shows the message a validator resolves with', async () => {
+    validation.registerAsyncValidator('unique', async () => 'Already registered');
+    validation.registerStepValidator('company', async () => true);
+    assert.equal(await validation.validateStepAsync(step), false);
+    assert.equal(errorOf(form.querySelector('[name="email"]')), 'Already registered');
+  });
+
+  it('does not run async validators when the synchronous rules fail', async () => {
+    let called = false;
+    validation.registerAsyncValidator('unique', async () => { called = true; return true; });
+    validation.registerStepValidator('company', async () => { called = true; return true; });
+    step.insertAdjacentHTML('beforeend', '<div><input name="name" required></div>');
+    assert.equal(await validation.validateStepAsync(step), false);
+    assert.equal(called, false);
+  });
+
+  it('aborts a field request when the field is edited', async () => {
+    const field = form.querySelector('[name="email"]');
+    const { calls, validator } = deferred();
+    validation.registerAsyncValidator('unique', (value, el, context) => validator(el, context));
+    const pending = validation.validateFieldAsync(field);
+    assert.equal(validation.hasPending(), true);
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    assert.equal(calls[0].signal.aborted, true);
+    calls[0].resolve('Already registered');
+    assert.equal(await pending, false);
+    assert.equal(errorOf(field), null);
+    assert.equal(validation.hasPending(), false);
+  });
+
+  it('lets a newer run of the step validators replace the older one', async () => {
+    validation.registerAsyncValidator('unique', async () => true);
+    const { calls, validator } = deferred();
+    validation.registerStepValidator('company', validator);
+    const first = validation.validateStepAsync(step);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const second = validation.validateStepAsync(step);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(calls[0].signal.aborted, true);
+    calls[0].resolve('Stale');
+    calls[1].resolve(true);
+    assert.equal(await first, false);
+    assert.equal(await second, true);
+    assert.equal(step.querySelector('.error-message'), null);
+  });
+
+  it('ignores step validators cancelled on leaving the step or on destroy', async () => {
+    validation.registerAsyncValidator('unique', async () => true);
+    const { calls, validator } = deferred();
+    validation.registerStepValidator('company', validator);
+
+    const left = validation.validateStepAsync(step);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    validation.cancelPending(step);
+    assert.equal(calls[0].signal.aborted, true);
+    calls[0].resolve('Stale');
+    assert.equal(await left, false);
+
+    const destroyed = validation.validateStepAsync(step);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    validation.destroy();
+    assert.equal(calls[1].signal.aborted, true);
+    calls[1].resolve('Stale');
+    assert.equal(await destroyed, false);
+    assert.equal(step.querySelector('.error-message'), null);
+  });
+});
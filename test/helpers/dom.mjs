@@ -0,0 +1,23 @@
+import { JSDOM } from 'jsdom';
+
+/** Browser globals the modules read at call time */
+const DOM_GLOBALS = [
+  'document', 'localStorage', 'sessionStorage', 'location', 'history', 'navigator',
+  'Node', 'HTMLElement', 'HTMLFormElement', 'HTMLInputElement', 'HTMLSelectElement', 'HTMLTextAreaElement',
+  'Event', 'CustomEvent', 'AbortController', 'AbortSignal', 'FormData', 'URLSearchParams'
+];
+
+/**
+ * Load markup into a fresh jsdom page and point the browser globals at it.
+ * @param {string} [html] body markup
+ * @param {{url?:string}} [options]
+ * @returns {Window}
+ */
+export function setupDom(html = '', { url = 'https://example.com/form' } = {}) {
+  const { window } = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`, { url });
+  Object.defineProperty(globalThis, 'window', { value: window, configurable: true, writable: true });
+  DOM_GLOBALS.forEach(name => {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+  });
+  return window;
+}
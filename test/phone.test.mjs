@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+import {
+  getPhoneCountry, parsePhone, formatPhone, toE164, isPossiblePhone, resolvePhoneCountry
+} from '../src/utils/phone.js';
+
+const US = getPhoneCountry('US');
+const GB = getPhoneCountry('GB');
+const CA = getPhoneCountry('CA');
+
+describe('getPhoneCountry', () => {
+  it('resolves ISO codes, dial codes and option labels', () => {
+    assert.equal(getPhoneCountry('gb'), GB);
+    assert.equal(getPhoneCountry('+44'), GB);
+    assert.equal(getPhoneCountry('Ireland (+353)').iso, 'IE');
+    assert.equal(getPhoneCountry('+999'), null);
+    assert.equal(getPhoneCountry(''), null);
+  });
+});
+
+describe('parsePhone', () => {
+  it('keeps national digits for the given country', () => {
+    assert.deepEqual(parsePhone('(415) 555-0123', US), { country: US, national: '4155550123' });
+  });
+
+  it('switches country on an international prefix', () => {
+    assert.deepEqual(parsePhone('+44 20 7946 0958', US), { country: GB, national: '2079460958' });
+  });
+
+  it('keeps the selected country when it shares the dial code', () => {
+    assert.deepEqual(parsePhone('+1 604 555 0199', CA), { country: CA, national: '6045550199' });
+  });
+
+  it('drops trunk prefixes', () => {
+    assert.equal(parsePhone('020 7946 0958', GB).national, '2079460958');
+    assert.equal(parsePhone('+44 (0)20 7946 0958', US).national, '2079460958');
+    assert.equal(parsePhone('1 415 555 0123', US).national, '4155550123');
+  });
+
+  it('returns no digits for empty input', () => {
+    assert.deepEqual(parsePhone('', US), { country: US, national: '' });
+    assert.deepEqual(parsePhone(null, US), { country: US, national: '' });
+  });
+});
+
+describe('formatPhone', () => {
+  it('applies the mask as far as the digits go', () => {
+    assert.equal(formatPhone('4155550123', US), '(415) 555-0123');
+    assert.equal(formatPhone('415', US), '(415');
+    assert.equal(formatPhone('41555501239', US), '(415) 555-01239');
+  });
+});
+
+describe('toE164', () => {
+  it('prefixes the dial code', () => {
+    assert.equal(toE164('2079460958', GB), '+442079460958');
+    assert.equal(toE164('', GB), '');
+    assert.equal(toE164('2079460958', null), '');
+  });
+});
+
+describe('isPossiblePhone', () => {
+  it('checks the national length for the country', () => {
+    assert.equal(isPossiblePhone('4155550123', US), true);
+    assert.equal(isPossiblePhone('415555012', US), false);
+    assert.equal(isPossiblePhone('1234567', null), true);
+    assert.equal(isPossiblePhone('12345', null), false);
+  });
+});
+
+describe('resolvePhoneCountry', () => {
+  it('prefers data-phone-format, then the paired country-code select', () => {
+    setupDom(`
+      <form>
+        <div><select data-country-code><option value="+44" selected>UK</option></select><input id="paired"></div>
+        <div><input id="fixed" data-phone-format="FR"></div>
+        <div><input id="plain"></div>
+      </form>`);
+    assert.equal(resolvePhoneCountry(document.getElementById('paired')), GB);
+    assert.equal(resolvePhoneCountry(document.getElementById('fixed')).iso, 'FR');
+    assert.equal(resolvePhoneCountry(document.getElementById('plain')), US);
+  });
+});